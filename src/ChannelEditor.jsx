@@ -0,0 +1,110 @@
+import React, { useEffect, useState } from 'react';
+import { Plus, Trash2, Check, Undo2 } from 'lucide-react';
+import { REQUIRED_CHANNELS, validateChannels } from './engine/chemical-field.js';
+
+const NEW_CHANNEL = { diffusion: 0.05, decay: 0.01, baseline: 0, max: 100 };
+
+const inputClass = 'w-full px-2 py-1 bg-gray-700 text-white rounded text-xs focus:outline-none focus:ring-2 focus:ring-blue-500';
+const buttonClass = 'px-2 py-1 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed text-white rounded flex items-center justify-center gap-1 transition-colors text-xs';
+
+const NUMBER_FIELDS = [
+  ['diffusion', 'Diffusion', 0.01],
+  ['decay', 'Decay', 0.001],
+  ['baseline', 'Baseline', 1],
+  ['max', 'Max', 1]
+];
+
+const copy = (channels) => channels.map(channel => ({ ...channel }));
+
+const channelError = (channels) => {
+  try {
+    validateChannels(channels);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+// Edits a copy of the world's chemical channels. Oxygen and CO2 can be tuned
+// but not removed; nothing reaches the world until Apply.
+const ChannelEditor = ({ channels, onApply }) => {
+  const [draft, setDraft] = useState(() => copy(channels));
+  const [newName, setNewName] = useState('');
+
+  useEffect(() => {
+    setDraft(copy(channels));
+  }, [channels]);
+
+  const error = channelError(draft);
+  const isDirty = JSON.stringify(draft) !== JSON.stringify(channels);
+
+  const updateChannel = (index, changes) => {
+    setDraft(prev => prev.map((channel, i) => (i === index ? { ...channel, ...changes } : channel)));
+  };
+
+  const addChannel = () => {
+    setDraft(prev => [...prev, { name: newName.trim(), ...NEW_CHANNEL }]);
+    setNewName('');
+  };
+
+  return (
+    <div className="space-y-2">
+      {draft.map((channel, index) => (
+        <div key={index} className="bg-gray-900 rounded-lg p-2 space-y-1">
+          <div className="flex justify-between items-center">
+            <span className="text-xs font-mono text-gray-300">{channel.name}</span>
+            {!REQUIRED_CHANNELS.includes(channel.name) && (
+              <button
+                onClick={() => setDraft(prev => prev.filter((_, i) => i !== index))}
+                title="Remove channel"
+                className={buttonClass}
+              >
+                <Trash2 size={12} />
+              </button>
+            )}
+          </div>
+          <div className="grid grid-cols-4 gap-1">
+            {NUMBER_FIELDS.map(([field, label, step]) => (
+              <div key={field}>
+                <label className="block text-xs text-gray-500">{label}</label>
+                <input
+                  type="number"
+                  min="0"
+                  step={step}
+                  value={channel[field]}
+                  onChange={(e) => updateChannel(index, { [field]: parseFloat(e.target.value) || 0 })}
+                  className={inputClass}
+                />
+              </div>
+            ))}
+          </div>
+        </div>
+      ))}
+
+      <div className="flex gap-2">
+        <input
+          value={newName}
+          placeholder="New channel name"
+          onChange={(e) => setNewName(e.target.value)}
+          className={inputClass}
+        />
+        <button onClick={addChannel} disabled={newName.trim().length === 0} title="Add channel" className={buttonClass}>
+          <Plus size={12} />
+        </button>
+      </div>
+
+      {error && <div className="text-red-400 text-xs">{error}</div>}
+
+      <div className="flex gap-2">
+        <button onClick={() => onApply(draft)} disabled={!isDirty || error !== null} className={`flex-1 ${buttonClass}`}>
+          <Check size={12} /> Apply
+        </button>
+        <button onClick={() => setDraft(copy(channels))} disabled={!isDirty} className={`flex-1 ${buttonClass}`}>
+          <Undo2 size={12} /> Revert
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ChannelEditor;
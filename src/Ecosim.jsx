@@ -1,28 +1,132 @@
 import React, { useEffect, useRef, useState } from 'react';
-import { Play, Pause, RotateCcw, ZoomIn, ZoomOut, Move } from 'lucide-react';
-import { WebGPUCompute } from './webgpu-compute.js';
+import { Play, Pause, RotateCcw, ZoomIn, ZoomOut, Move, Shuffle, Download, Upload, StepForward, FastForward, Pencil, GitBranch, SprayCan, Bug, Eraser, Wind, Paintbrush, Scale, List, X } from 'lucide-react';
+import { MAX_SEED, randomSeed } from './engine/random.js';
+import { BLOCK_STRIDE, ENTITY_STRIDE, CELL_BLOCK_STRIDE, CORPSE_STRIDE } from './engine/frame.js';
+import { SimulationClient } from './simulation-client.js';
+import { SimulationLoop, SPEED_MULTIPLIERS, MAX_SPEED, TICK_INTERVAL_MS } from './simulation-loop.js';
+import { BUNDLED_RULESETS, DEFAULT_RULESET_ID } from './rulesets/index.js';
+import RulesetEditor from './RulesetEditor.jsx';
+import HistoryChart from './HistoryChart.jsx';
+import PhylogenyPanel from './PhylogenyPanel.jsx';
+import Inspector from './Inspector.jsx';
+import ChannelEditor from './ChannelEditor.jsx';
+import LedgerPanel from './LedgerPanel.jsx';
+import EventLogPanel, { EVENT_CATEGORIES, eventCategory } from './EventLogPanel.jsx';
+import { MEDIA, WATER, SHORE, LAND } from './engine/terrain.js';
+import { DEPTH_LIGHT_FLOOR } from './engine/light.js';
+import { BOUNDARY_MODES, DEFAULT_CHANNELS } from './engine/chemical-field.js';
+import { HISTORY_CAPACITY, historyArchetypes, historyToCSV } from './engine/history.js';
+import { latestOfEachType } from './engine/event-log.js';
+import { describeStep, describeTiming, scenarioMarkers } from './engine/scenario.js';
+
+// Canvas tools. Pan also picks what is clicked for the inspector.
+const TOOLS = [
+  { id: 'pan', icon: Move, label: 'Pan & Inspect' },
+  { id: 'spray', icon: SprayCan, label: 'Spray Blocks' },
+  { id: 'organism', icon: Bug, label: 'Drop Organism' },
+  { id: 'erase', icon: Eraser, label: 'Erase' },
+  { id: 'gas', icon: Wind, label: 'Gas Brush' },
+  { id: 'terrain', icon: Paintbrush, label: 'Paint Terrain' }
+];
+// Tools that keep applying while the button is held and the mouse moves
+const BRUSH_TOOLS = ['spray', 'erase', 'gas', 'terrain'];
+
+const TERRAIN_OPTIONS = {
+  open: 'Open (water & air everywhere)',
+  generated: 'Lakes from seed',
+  water: 'All water',
+  land: 'All land'
+};
+const LIGHT_GRADIENT_OPTIONS = {
+  none: 'Uniform',
+  depth: 'Fades with depth'
+};
+const BOUNDARY_LABELS = {
+  closed: 'Closed (edges hold gas in)',
+  wrap: 'Wrap (edges join up)',
+  open: 'Open (edges leak to baseline)'
+};
+const GAS_LABELS = { oxygen: 'O₂', co2: 'CO₂' };
+// How dark the deepest night gets
+const NIGHT_SHADE = 0.6;
+// Minimum time between brush applications while dragging
+const BRUSH_INTERVAL_MS = 50;
+// Blocks added and gas change per brush application
+const SPRAY_COUNT = 3;
+const GAS_STEP = 8;
+// How long an event flashes on the canvas, and the most flashing at once
+const FLASH_MS = 1500;
+const MAX_FLASHES = 100;
 
 const EcosystemSimulator = () => {
   const canvasRef = useRef(null);
   const containerRef = useRef(null);
-  const animationRef = useRef(null);
-  const entitiesRef = useRef([]);
-  const buildingBlocksRef = useRef([]);
-  const gasGridRef = useRef(null);
-  const webgpuRef = useRef(null);
-  const gpuBuffersRef = useRef(null);
+  const snapshotInputRef = useRef(null);
+  const rulesetInputRef = useRef(null);
+  const scenarioInputRef = useRef(null);
+  const loopRef = useRef(null);
+  const simulationRef = useRef(null);
   
   const [isRunning, setIsRunning] = useState(true);
+  const [ticksPerFrame, setTicksPerFrame] = useState(1);
+  const [stepCount, setStepCount] = useState(100);
   const [stats, setStats] = useState({});
   const [useWebGPU, setUseWebGPU] = useState(false);
+  const [snapshotError, setSnapshotError] = useState(null);
+  const [scenarioError, setScenarioError] = useState(null);
+  // The worker rejects invalid channels or boundaries
+  const [paramsError, setParamsError] = useState(null);
+  // Bundled ruleset id, or 'custom' for one loaded from a file
+  const [rulesetId, setRulesetId] = useState(DEFAULT_RULESET_ID);
+  const [rulesetInfo, setRulesetInfo] = useState(null);
+  const [rulesetError, setRulesetError] = useState(null);
+  const [isEditingRuleset, setIsEditingRuleset] = useState(false);
+  const [isEditingChannels, setIsEditingChannels] = useState(false);
+  // Population history mirrored from the worker, extended on every publish
+  const [history, setHistory] = useState({ epoch: null, samples: [], archetypes: {} });
+  // Lineages are only fetched while the panel is open
+  const [showLineages, setShowLineages] = useState(false);
+  const [showLedger, setShowLedger] = useState(false);
+  const [showEvents, setShowEvents] = useState(true);
+  const [eventLog, setEventLog] = useState({ epoch: null, events: [], archetypes: {} });
+  // Event categories listed and flashed; spawned blocks are too many to follow
+  const [eventFilters, setEventFilters] = useState(() => Object.fromEntries(
+    Object.keys(EVENT_CATEGORIES).map(category => [category, category !== 'blocks'])
+  ));
+  const [ledger, setLedger] = useState(null);
+  const [selectedLineage, setSelectedLineage] = useState(null);
+  const [lineageData, setLineageData] = useState(null);
+  // Inspector view of the last clicked organism or block, kept live
+  const [inspection, setInspection] = useState(null);
+  const [following, setFollowing] = useState(false);
+  const [tool, setTool] = useState('pan');
+  const [toolOptions, setToolOptions] = useState({
+    blockType: null,
+    archetype: null,
+    radius: 20,
+    gas: 'oxygen',
+    gasDirection: 1,
+    medium: WATER
+  });
   const [params, setParams] = useState({
     initialBlocks: 800,
     speed: 0.4,
     attractionRange: 12,
+    historyInterval: 30,
+    dayLength: 3600,
+    lightGradient: 'none',
+    gridCellSize: 40,
+    boundary: 'closed',
+    channels: DEFAULT_CHANNELS,
+    closedSystem: false,
+    // Scheduled interventions, run from the start of every reset
+    scenario: null,
     zoomSensitivity: 0.1,
     panSensitivity: 1.0,
     canvasWidth: 800,
-    canvasHeight: 600
+    canvasHeight: 600,
+    seed: randomSeed(),
+    terrain: 'open'
   });
   
   const [camera, setCamera] = useState({
@@ -34,784 +138,198 @@ const EcosystemSimulator = () => {
     lastY: 0
   });
 
+  // The loop and renderer run outside React's render cycle, so they read the
+  // latest values through refs instead of capturing stale state
+  const isRunningRef = useRef(isRunning);
+  const ticksPerFrameRef = useRef(ticksPerFrame);
+  const cameraRef = useRef(camera);
+  const historyRef = useRef(history);
+  const lineageViewRef = useRef({ open: showLineages, founderId: selectedLineage });
+  const showLedgerRef = useRef(showLedger);
+  const eventLogRef = useRef(eventLog);
+  const eventFiltersRef = useRef(eventFilters);
+  // Canvas markers for recent events: position, colour and when they arrived
+  const flashesRef = useRef([]);
+  const inspectionRef = useRef(inspection);
+  const followingRef = useRef(following);
+  // Where the left button went down, to tell a click from a drag
+  const pointerDownRef = useRef(null);
+  // Brush state for drawing the cursor: the active brush, the pointer in
+  // world coordinates and when the brush last applied
+  const brushRef = useRef({ tool: null, radius: 0, position: null, lastApplied: 0, active: false });
+  brushRef.current.tool = BRUSH_TOOLS.includes(tool) ? tool : null;
+  brushRef.current.radius = toolOptions.radius;
+  isRunningRef.current = isRunning;
+  ticksPerFrameRef.current = ticksPerFrame;
+  cameraRef.current = camera;
+  lineageViewRef.current = { open: showLineages, founderId: selectedLineage };
+  showLedgerRef.current = showLedger;
+  eventFiltersRef.current = eventFilters;
+  inspectionRef.current = inspection;
+  followingRef.current = following;
+
   // Input validation constants
   const VALIDATION_RANGES = {
-    initialBlocks: { min: 400, max: 1200, default: 800 },
+    initialBlocks: { min: 400, max: 10000, default: 800 },
     attractionRange: { min: 5, max: 40, default: 12 },
     speed: { min: 0.1, max: 1.0, default: 0.4 },
     canvasWidth: { min: 400, max: 5000, default: 800 },
     canvasHeight: { min: 400, max: 5000, default: 600 },
     zoomSensitivity: { min: 0.05, max: 0.5, default: 0.1 },
-    panSensitivity: { min: 0.5, max: 2.0, default: 1.0 }
+    panSensitivity: { min: 0.5, max: 2.0, default: 1.0 },
+    historyInterval: { min: 1, max: 1000, default: 30 },
+    dayLength: { min: 0, max: 100000, default: 3600 },
+    gridCellSize: { min: 10, max: 200, default: 40 },
+    seed: { min: 0, max: MAX_SEED },
+    stepCount: { min: 1, max: 100000, default: 100 }
   };
 
-  const GRID_CELL_SIZE = 40;
+  const initSimulation = async () => {
+    const simulation = simulationRef.current;
+    if (!simulation) return;
 
-  // Building block types with specific functionalities
-  const BLOCK_TYPES = {
-    // Energy & Metabolism
-    NUTRIENT: { color: '#84cc16', symbol: 'N', function: 'energy_source' },
-    CARBON: { color: '#78716c', symbol: 'C', function: 'structure' },
-    PROTEIN: { color: '#ec4899', symbol: 'P', function: 'structure' },
-    
-    // Movement
-    LOCOMOTION: { color: '#06b6d4', symbol: 'L', function: 'movement' },
-    
-    // Sensing
-    PHOTORECEPTOR: { color: '#fbbf24', symbol: 'E', function: 'vision' },
-    CHEMORECEPTOR: { color: '#a855f7', symbol: 'S', function: 'sensing' },
-    
-    // Feeding
-    HERBIVORE_ENZYME: { color: '#22c55e', symbol: 'H', function: 'eat_vegetation' },
-    CARNIVORE_ENZYME: { color: '#ef4444', symbol: 'M', function: 'eat_meat' },
-    
-    // Respiration
-    AEROBIC: { color: '#38bdf8', symbol: 'A', function: 'breathe_air' },
-    AQUATIC: { color: '#0ea5e9', symbol: 'W', function: 'breathe_water' },
-    
-    // Production
-    CHLOROPLAST: { color: '#10b981', symbol: 'O', function: 'produce_oxygen' },
-    MITOCHONDRIA: { color: '#94a3b8', symbol: 'D', function: 'produce_co2' }
+    await simulation.reset({ initialBlocks: params.initialBlocks, seed: params.seed, terrain: params.terrain, gridCellSize: params.gridCellSize, scenario: params.scenario });
+    // Organism ids start over with the run
+    setSelectedLineage(null);
+    publishStats();
   };
 
-  // Compatibility chart - which blocks can work together
-  const BLOCK_COMPATIBILITY = {
-    // Respiration compatibility
-    AEROBIC: ['MITOCHONDRIA', 'CARNIVORE_ENZYME', 'LOCOMOTION', 'PHOTORECEPTOR', 'CHEMORECEPTOR'],
-    AQUATIC: ['CHLOROPLAST', 'HERBIVORE_ENZYME', 'LOCOMOTION', 'CHEMORECEPTOR'],
-    
-    // Feeding compatibility
-    HERBIVORE_ENZYME: ['CHLOROPLAST', 'NUTRIENT', 'AQUATIC', 'LOCOMOTION'],
-    CARNIVORE_ENZYME: ['MITOCHONDRIA', 'PROTEIN', 'AEROBIC', 'LOCOMOTION', 'PHOTORECEPTOR'],
-    
-    // Production compatibility
-    CHLOROPLAST: ['HERBIVORE_ENZYME', 'NUTRIENT', 'CARBON', 'AQUATIC'],
-    MITOCHONDRIA: ['CARNIVORE_ENZYME', 'PROTEIN', 'AEROBIC', 'LOCOMOTION'],
-    
-    // Movement works with most
-    LOCOMOTION: ['AEROBIC', 'AQUATIC', 'CARNIVORE_ENZYME', 'HERBIVORE_ENZYME', 'PHOTORECEPTOR', 'CHEMORECEPTOR'],
-    
-    // Sensing
-    PHOTORECEPTOR: ['AEROBIC', 'CARNIVORE_ENZYME', 'LOCOMOTION'],
-    CHEMORECEPTOR: ['AEROBIC', 'AQUATIC', 'HERBIVORE_ENZYME', 'CARNIVORE_ENZYME', 'LOCOMOTION']
+  const publishStats = () => {
+    const simulation = simulationRef.current;
+    if (!simulation) return;
+
+    simulation.getStats()
+      .then(setStats)
+      .catch(error => console.warn('Failed to read stats:', error));
+    publishHistory();
+    publishLineage();
+    publishLedger();
+    publishEvents();
+    publishInspection();
   };
 
-  // Organism archetypes based on block combinations
-  const ORGANISM_ARCHETYPES = {
-    PHOTOSYNTHETIC_ALGAE: {
-      name: 'Photosynthetic Algae',
-      color: '#22c55e',
-      requires: { NUTRIENT: 3, CHLOROPLAST: 2, AQUATIC: 1, CARBON: 2 },
-      shape: 'rounded_rect',
-      size: 8,
-      speed: 0.05,
-      metabolism: 0.015,
-      starvationTime: 400
-    },
-    HERBIVORE_ZOOPLANKTON: {
-      name: 'Herbivore Zooplankton',
-      color: '#06b6d4',
-      requires: { HERBIVORE_ENZYME: 2, LOCOMOTION: 2, AQUATIC: 1, CHEMORECEPTOR: 1 },
-      shape: 'capsule',
-      size: 7,
-      speed: 0.25,
-      metabolism: 0.03,
-      starvationTime: 250
-    },
-    AEROBIC_BACTERIA: {
-      name: 'Aerobic Bacteria',
-      color: '#ec4899',
-      requires: { PROTEIN: 2, MITOCHONDRIA: 2, AEROBIC: 1, LOCOMOTION: 1 },
-      shape: 'capsule',
-      size: 6,
-      speed: 0.3,
-      metabolism: 0.04,
-      starvationTime: 200
-    },
-    PREDATORY_PROTOZOA: {
-      name: 'Predatory Protozoa',
-      color: '#8b5cf6',
-      requires: { CARNIVORE_ENZYME: 3, PHOTORECEPTOR: 2, AEROBIC: 2, LOCOMOTION: 2 },
-      shape: 'rounded_triangle',
-      size: 9,
-      speed: 0.35,
-      metabolism: 0.05,
-      starvationTime: 220
-    },
-    APEX_PREDATOR: {
-      name: 'Apex Predator',
-      color: '#ef4444',
-      requires: { CARNIVORE_ENZYME: 4, PHOTORECEPTOR: 3, AEROBIC: 3, LOCOMOTION: 3, PROTEIN: 2 },
-      shape: 'sharp_triangle',
-      size: 12,
-      speed: 0.45,
-      metabolism: 0.08,
-      starvationTime: 180
-    }
-  };
+  const publishInspection = () => {
+    const simulation = simulationRef.current;
+    if (!simulation || !inspectionRef.current) return;
 
-  const initGasGrid = (width, height) => {
-    const cols = Math.ceil(width / GRID_CELL_SIZE);
-    const rows = Math.ceil(height / GRID_CELL_SIZE);
-    const grid = [];
-    
-    for (let y = 0; y < rows; y++) {
-      grid[y] = [];
-      for (let x = 0; x < cols; x++) {
-        grid[y][x] = { oxygen: 50, co2: 50 };
-      }
-    }
-    return grid;
+    simulation.inspect()
+      .then(setInspection)
+      .catch(error => console.warn('Failed to inspect:', error));
   };
 
-  const getGridCell = (x, y, grid) => {
-    const col = Math.floor(x / GRID_CELL_SIZE);
-    const row = Math.floor(y / GRID_CELL_SIZE);
-    if (row >= 0 && row < grid.length && col >= 0 && col < grid[0].length) {
-      return grid[row][col];
-    }
-    return null;
+  const publishLineage = () => {
+    const simulation = simulationRef.current;
+    const { open, founderId } = lineageViewRef.current;
+    if (!simulation || !open) return;
+
+    simulation.getLineage(founderId)
+      .then(setLineageData)
+      .catch(error => console.warn('Failed to read lineage:', error));
   };
 
-  const initSimulation = () => {
-    const canvas = canvasRef.current;
-    if (!canvas) return;
+  const publishLedger = () => {
+    const simulation = simulationRef.current;
+    if (!simulation || !showLedgerRef.current) return;
 
-    gasGridRef.current = initGasGrid(canvas.width, canvas.height);
-
-    const blocks = [];
-    const blockTypes = Object.keys(BLOCK_TYPES);
-    for (let i = 0; i < params.initialBlocks; i++) {
-      const type = blockTypes[Math.floor(Math.random() * blockTypes.length)];
-      blocks.push({
-        x: Math.random() * canvas.width,
-        y: Math.random() * canvas.height,
-        vx: (Math.random() - 0.5) * 0.2,
-        vy: (Math.random() - 0.5) * 0.2,
-        type: type,
-        free: true,
-        age: 0
-      });
-    }
-    buildingBlocksRef.current = blocks;
-    entitiesRef.current = [];
+    simulation.getLedger()
+      .then(setLedger)
+      .catch(error => console.warn('Failed to read ledger:', error));
   };
 
-  const checkCompatibility = (blocks) => {
-    // Check if all blocks are compatible with each other
-    for (let i = 0; i < blocks.length; i++) {
-      for (let j = i + 1; j < blocks.length; j++) {
-        const type1 = blocks[i];
-        const type2 = blocks[j];
-        
-        const compat1 = BLOCK_COMPATIBILITY[type1] || [];
-        const compat2 = BLOCK_COMPATIBILITY[type2] || [];
-        
-        if (!compat1.includes(type2) && !compat2.includes(type1)) {
-          return false; // Incompatible blocks
-        }
-      }
-    }
-    return true;
+  const flash = (event) => {
+    const flashes = flashesRef.current;
+    flashes.push({ x: event.x, y: event.y, color: EVENT_CATEGORIES[eventCategory(event.type)].color, at: performance.now() });
+    if (flashes.length > MAX_FLASHES) flashes.shift();
   };
 
-  const tryFormEntity = (blocks, canvas) => {
-    for (let [archetypeKey, archetype] of Object.entries(ORGANISM_ARCHETYPES)) {
-      if (Math.random() > 0.001) continue;
-
-      const startIdx = Math.floor(Math.random() * blocks.length);
-      const startBlock = blocks[startIdx];
-      
-      const nearby = [];
-      const range = 35;
-      
-      for (let i = 0; i < blocks.length; i++) {
-        const block = blocks[i];
-        if (!block.free) continue;
-        
-        const dx = block.x - startBlock.x;
-        const dy = block.y - startBlock.y;
-        const dist = Math.sqrt(dx * dx + dy * dy);
-        
-        if (dist < range) {
-          nearby.push({ block, index: i });
-        }
-      }
-
-      const available = {};
-      const indices = [];
-      
-      for (let item of nearby) {
-        available[item.block.type] = (available[item.block.type] || 0) + 1;
-        indices.push(item.index);
-      }
-
-      let canForm = true;
-      for (let [blockType, amount] of Object.entries(archetype.requires)) {
-        if ((available[blockType] || 0) < amount) {
-          canForm = false;
-          break;
-        }
-      }
-
-      if (canForm) {
-        // Check compatibility
-        const blockTypesInEntity = Object.keys(archetype.requires);
-        if (!checkCompatibility(blockTypesInEntity)) {
-          continue; // Skip if incompatible
-        }
-
-        let cx = 0, cy = 0, count = 0;
-        const toRemove = [];
-        const cellBlocks = [];
-        
-        for (let [blockType, amount] of Object.entries(archetype.requires)) {
-          let found = 0;
-          for (let i = indices.length - 1; i >= 0; i--) {
-            const idx = indices[i];
-            if (blocks[idx].type === blockType && found < amount) {
-              cx += blocks[idx].x;
-              cy += blocks[idx].y;
-              count++;
-              cellBlocks.push({ type: blockType, relX: 0, relY: 0 });
-              toRemove.push(idx);
-              found++;
-            }
-          }
-        }
-
-        cx /= count;
-        cy /= count;
-
-        toRemove.sort((a, b) => b - a);
-        for (let idx of toRemove) {
-          blocks.splice(idx, 1);
-        }
+  // Fetch only the events we have not seen, like publishHistory, and flash
+  // the new ones that pass the filter
+  const publishEvents = async () => {
+    const simulation = simulationRef.current;
+    if (!simulation) return;
+
+    const { epoch, events } = eventLogRef.current;
+    const lastSeq = events.length > 0 ? events[events.length - 1].seq : -1;
+    let update;
+    try {
+      update = await simulation.getEvents(lastSeq, epoch);
+    } catch (error) {
+      console.warn('Failed to read events:', error);
+      return;
+    }
 
-        // Arrange blocks in a pattern inside the cell
-        for (let i = 0; i < cellBlocks.length; i++) {
-          const angle = (Math.PI * 2 / cellBlocks.length) * i;
-          const radius = archetype.size * 0.4;
-          cellBlocks[i].relX = Math.cos(angle) * radius;
-          cellBlocks[i].relY = Math.sin(angle) * radius;
-        }
+    const current = eventLogRef.current;
+    if (!update.fresh && current.epoch !== update.epoch) return;
+    const currentLast = current.events.length > 0 ? current.events[current.events.length - 1].seq : -1;
+    const added = update.fresh ? update.events : update.events.filter(event => event.seq > currentLast);
+    if (!update.fresh && added.length === 0) return;
 
-        return {
-          id: Math.random(),
-          type: archetypeKey,
-          x: cx,
-          y: cy,
-          vx: (Math.random() - 0.5) * 0.3,
-          vy: (Math.random() - 0.5) * 0.3,
-          energy: 100,
-          age: 0,
-          timeSinceFed: 0,
-          hibernating: false,
-          starvationResistance: archetype.starvationTime,
-          metabolismRate: archetype.metabolism,
-          cellBlocks: cellBlocks,
-          archetype: archetype
-        };
-      }
+    for (let event of added) {
+      if (eventFiltersRef.current[eventCategory(event.type)]) flash(event);
     }
-    return null;
-  };
-
-  const distance = (x1, y1, x2, y2) => {
-    const dx = x2 - x1;
-    const dy = y2 - y1;
-    return Math.sqrt(dx * dx + dy * dy);
+    eventLogRef.current = {
+      epoch: update.epoch,
+      events: update.fresh ? added : latestOfEachType([...current.events, ...added]),
+      archetypes: { ...(update.fresh ? {} : current.archetypes), ...update.archetypes }
+    };
+    setEventLog(eventLogRef.current);
   };
 
-  const updateBlocksWithWebGPU = async () => {
-    if (!webgpuRef.current || !gpuBuffersRef.current) return;
-
-    const gpu = webgpuRef.current;
-    const blocks = buildingBlocksRef.current;
+  // Centre the camera on an event from the log and flash it again
+  const showEvent = (event) => {
     const canvas = canvasRef.current;
     if (!canvas) return;
-
-    // Prepare particle data for GPU
-    // Layout must match shader struct: pos(vec2), vel(vec2), type(u32), free(u32), age(u32), padding(u32)
-    const particleData = new Float32Array(blocks.length * 8);
-    for (let i = 0; i < blocks.length; i++) {
-      const block = blocks[i];
-      particleData[i * 8 + 0] = block.x;
-      particleData[i * 8 + 1] = block.y;
-      particleData[i * 8 + 2] = block.vx;
-      particleData[i * 8 + 3] = block.vy;
-      particleData[i * 8 + 4] = 0; // type encoded as number (placeholder for future use)
-      particleData[i * 8 + 5] = block.free ? 1 : 0; // free status
-      particleData[i * 8 + 6] = block.age;
-      particleData[i * 8 + 7] = 0; // padding
-    }
-
-    // Create or update particle buffer
-    if (!gpuBuffersRef.current.particleBuffer) {
-      gpuBuffersRef.current.particleBuffer = gpu.createBuffer(
-        particleData,
-        GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST
-      );
-    } else {
-      gpu.device.queue.writeBuffer(gpuBuffersRef.current.particleBuffer, 0, particleData);
-    }
-
-    // Create params buffer
-    const paramsData = new Float32Array([
-      blocks.length,
-      canvas.width,
-      canvas.height,
-      params.speed,
-      params.attractionRange,
-      1.0, // delta time
-    ]);
-
-    if (!gpuBuffersRef.current.paramsBuffer) {
-      gpuBuffersRef.current.paramsBuffer = gpu.createBuffer(
-        paramsData,
-        GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
-      );
-    } else {
-      gpu.device.queue.writeBuffer(gpuBuffersRef.current.paramsBuffer, 0, paramsData);
-    }
-
-    // Create compute pipeline if not exists
-    if (!gpuBuffersRef.current.particlePipeline) {
-      const { pipeline, bindGroupLayout } = gpu.createParticleComputePipeline();
-      gpuBuffersRef.current.particlePipeline = pipeline;
-      gpuBuffersRef.current.particleBindGroupLayout = bindGroupLayout;
-    }
-
-    // Create bind group
-    const bindGroup = gpu.device.createBindGroup({
-      layout: gpuBuffersRef.current.particleBindGroupLayout,
-      entries: [
-        { binding: 0, resource: { buffer: gpuBuffersRef.current.particleBuffer } },
-        { binding: 1, resource: { buffer: gpuBuffersRef.current.paramsBuffer } },
-      ],
-    });
-
-    // Execute compute shader
-    const commandEncoder = gpu.device.createCommandEncoder();
-    const passEncoder = commandEncoder.beginComputePass();
-    passEncoder.setPipeline(gpuBuffersRef.current.particlePipeline);
-    passEncoder.setBindGroup(0, bindGroup);
-    passEncoder.dispatchWorkgroups(Math.ceil(blocks.length / 64));
-    passEncoder.end();
-    gpu.device.queue.submit([commandEncoder.finish()]);
-
-    // Read results back
-    const resultData = await gpu.readBuffer(
-      gpuBuffersRef.current.particleBuffer,
-      particleData.byteLength
-    );
-
-    // Update blocks with GPU results
-    const FREE_THRESHOLD = 0.5; // Threshold for converting float to boolean
-    for (let i = 0; i < blocks.length; i++) {
-      blocks[i].x = resultData[i * 8 + 0];
-      blocks[i].y = resultData[i * 8 + 1];
-      blocks[i].vx = resultData[i * 8 + 2];
-      blocks[i].vy = resultData[i * 8 + 3];
-      // type at index 4, free at index 5 (matches shader struct)
-      blocks[i].free = resultData[i * 8 + 5] > FREE_THRESHOLD;
-      blocks[i].age = Math.floor(resultData[i * 8 + 6]);
-    }
+    stopFollowing();
+    setCamera(prev => ({ ...prev, x: canvas.width / 2 - event.x, y: canvas.height / 2 - event.y }));
+    flash(event);
   };
 
-  const diffuseGasesOnCPU = (gasGrid) => {
-    if (!gasGrid) return;
-    
-    for (let y = 0; y < gasGrid.length; y++) {
-      for (let x = 0; x < gasGrid[0].length; x++) {
-        const cell = gasGrid[y][x];
-        let oxygenDiff = 0, co2Diff = 0, neighbors = 0;
-        
-        for (let dy = -1; dy <= 1; dy++) {
-          for (let dx = -1; dx <= 1; dx++) {
-            if (dx === 0 && dy === 0) continue;
-            const ny = y + dy, nx = x + dx;
-            if (ny >= 0 && ny < gasGrid.length && nx >= 0 && nx < gasGrid[0].length) {
-              oxygenDiff += gasGrid[ny][nx].oxygen;
-              co2Diff += gasGrid[ny][nx].co2;
-              neighbors++;
-            }
-          }
-        }
-        
-        if (neighbors > 0) {
-          cell.oxygen = cell.oxygen * 0.95 + (oxygenDiff / neighbors) * 0.05;
-          cell.co2 = cell.co2 * 0.95 + (co2Diff / neighbors) * 0.05;
-        }
-        
-        cell.oxygen = Math.max(0, Math.min(100, cell.oxygen + (50 - cell.oxygen) * 0.001));
-        cell.co2 = Math.max(0, Math.min(100, cell.co2 + (50 - cell.co2) * 0.001));
-      }
+  // Fetch only the samples we have not seen, or the whole series if the
+  // world has started a new one since
+  const publishHistory = async () => {
+    const simulation = simulationRef.current;
+    if (!simulation) return;
+
+    const { epoch, samples } = historyRef.current;
+    const lastTick = samples.length > 0 ? samples[samples.length - 1].tick : -1;
+    let update;
+    try {
+      update = await simulation.getHistory(lastTick, epoch);
+    } catch (error) {
+      console.warn('Failed to read history:', error);
+      return;
     }
-  };
 
-  const updateBlocksOnCPU = (blocks, canvas) => {
-    for (let i = 0; i < blocks.length; i++) {
-      const block = blocks[i];
-      if (!block.free) continue;
-      
-      if (Math.random() < 0.02) {
-        for (let j = 0; j < blocks.length; j++) {
-          if (i === j) continue;
-          const other = blocks[j];
-          if (!other.free) continue;
-          
-          const dist = distance(block.x, block.y, other.x, other.y);
-          if (dist < params.attractionRange && dist > 0) {
-            const dx = other.x - block.x;
-            const dy = other.y - block.y;
-            block.vx += (dx / dist) * 0.01;
-            block.vy += (dy / dist) * 0.01;
-          }
-        }
-      }
-      
-      block.vx *= 0.98;
-      block.vy *= 0.98;
-      block.x += block.vx * params.speed;
-      block.y += block.vy * params.speed;
-      
-      if (block.x < 0) block.x = canvas.width;
-      if (block.x > canvas.width) block.x = 0;
-      if (block.y < 0) block.y = canvas.height;
-      if (block.y > canvas.height) block.y = 0;
-      
-      block.age++;
-    }
+    // Another publish may have landed while this one was in flight
+    const current = historyRef.current;
+    if (!update.fresh && current.epoch !== update.epoch) return;
+    const currentLast = current.samples.length > 0 ? current.samples[current.samples.length - 1].tick : -1;
+    const added = update.fresh ? update.samples : update.samples.filter(sample => sample.tick > currentLast);
+    if (!update.fresh && added.length === 0) return;
+
+    historyRef.current = {
+      epoch: update.epoch,
+      samples: update.fresh ? added : [...current.samples, ...added].slice(-HISTORY_CAPACITY),
+      archetypes: { ...(update.fresh ? {} : current.archetypes), ...update.archetypes }
+    };
+    setHistory(historyRef.current);
   };
 
-  const updateGasGridWithWebGPU = async () => {
-    if (!webgpuRef.current || !gpuBuffersRef.current) return;
-
-    const gpu = webgpuRef.current;
-    const gasGrid = gasGridRef.current;
-    if (!gasGrid) return;
+  const stepTicks = async (count) => {
+    const loop = loopRef.current;
+    if (!loop) return;
 
-    const rows = gasGrid.length;
-    const cols = gasGrid[0].length;
-    const cellCount = rows * cols;
-
-    // Prepare gas grid data
-    const gasData = new Float32Array(cellCount * 2); // 2 floats per cell (oxygen, co2)
-    for (let y = 0; y < rows; y++) {
-      for (let x = 0; x < cols; x++) {
-        const index = y * cols + x;
-        gasData[index * 2 + 0] = gasGrid[y][x].oxygen;
-        gasData[index * 2 + 1] = gasGrid[y][x].co2;
-      }
-    }
-
-    // Create or update buffers
-    if (!gpuBuffersRef.current.gasGridInBuffer) {
-      gpuBuffersRef.current.gasGridInBuffer = gpu.createBuffer(
-        gasData,
-        GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST
-      );
-      gpuBuffersRef.current.gasGridOutBuffer = gpu.createBuffer(
-        gasData,
-        GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST
-      );
-    } else {
-      gpu.device.queue.writeBuffer(gpuBuffersRef.current.gasGridInBuffer, 0, gasData);
-    }
-
-    // Create gas grid params
-    const gasParamsData = new Uint32Array([cols, rows]);
-    if (!gpuBuffersRef.current.gasParamsBuffer) {
-      gpuBuffersRef.current.gasParamsBuffer = gpu.createBuffer(
-        gasParamsData,
-        GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
-      );
-    }
-
-    // Create pipeline if not exists
-    if (!gpuBuffersRef.current.gasPipeline) {
-      const { pipeline, bindGroupLayout } = gpu.createGasGridComputePipeline();
-      gpuBuffersRef.current.gasPipeline = pipeline;
-      gpuBuffersRef.current.gasBindGroupLayout = bindGroupLayout;
-    }
-
-    // Create bind group
-    const bindGroup = gpu.device.createBindGroup({
-      layout: gpuBuffersRef.current.gasBindGroupLayout,
-      entries: [
-        { binding: 0, resource: { buffer: gpuBuffersRef.current.gasGridInBuffer } },
-        { binding: 1, resource: { buffer: gpuBuffersRef.current.gasGridOutBuffer } },
-        { binding: 2, resource: { buffer: gpuBuffersRef.current.gasParamsBuffer } },
-      ],
-    });
-
-    // Execute compute shader
-    const commandEncoder = gpu.device.createCommandEncoder();
-    const passEncoder = commandEncoder.beginComputePass();
-    passEncoder.setPipeline(gpuBuffersRef.current.gasPipeline);
-    passEncoder.setBindGroup(0, bindGroup);
-    passEncoder.dispatchWorkgroups(Math.ceil(cols / 8), Math.ceil(rows / 8));
-    passEncoder.end();
-    gpu.device.queue.submit([commandEncoder.finish()]);
-
-    // Read results back
-    const resultData = await gpu.readBuffer(
-      gpuBuffersRef.current.gasGridOutBuffer,
-      gasData.byteLength
-    );
-
-    // Update gas grid with GPU results
-    for (let y = 0; y < rows; y++) {
-      for (let x = 0; x < cols; x++) {
-        const index = y * cols + x;
-        gasGrid[y][x].oxygen = resultData[index * 2 + 0];
-        gasGrid[y][x].co2 = resultData[index * 2 + 1];
-      }
-    }
-
-    // Swap buffers for next iteration
-    [gpuBuffersRef.current.gasGridInBuffer, gpuBuffersRef.current.gasGridOutBuffer] = 
-      [gpuBuffersRef.current.gasGridOutBuffer, gpuBuffersRef.current.gasGridInBuffer];
+    await loop.runTicks(count);
+    publishStats();
   };
 
-  const update = async () => {
-    const canvas = canvasRef.current;
-    if (!canvas) return;
-
-    const entities = entitiesRef.current;
-    const blocks = buildingBlocksRef.current;
-    const gasGrid = gasGridRef.current;
-
-    // Use WebGPU for gas diffusion if available
-    if (useWebGPU && webgpuRef.current) {
-      await updateGasGridWithWebGPU();
-    } else {
-      // CPU-based gas diffusion
-      diffuseGasesOnCPU(gasGrid);
-    }
-
-    // Use WebGPU for particle physics if available
-    if (useWebGPU && webgpuRef.current) {
-      await updateBlocksWithWebGPU();
-    } else {
-      // CPU-based particle updates
-      updateBlocksOnCPU(blocks, canvas);
-    }
-
-    // Continue with entity logic (keep on CPU for now as it's more complex)
-    const newEntity = tryFormEntity(blocks, canvas);
-    if (newEntity) entities.push(newEntity);
-
-    // Update entities
-    for (let i = entities.length - 1; i >= 0; i--) {
-      const entity = entities[i];
-      const archetype = entity.archetype;
-      const cell = getGridCell(entity.x, entity.y, gasGrid);
-      if (!cell) continue;
-
-      // Determine respiration needs
-      const hasAerobic = entity.cellBlocks.some(b => b.type === 'AEROBIC');
-      const hasAquatic = entity.cellBlocks.some(b => b.type === 'AQUATIC');
-      const canBreathe = hasAerobic ? cell.oxygen > 10 : hasAquatic ? cell.co2 > 10 : true;
-      
-      if (entity.timeSinceFed > entity.starvationResistance * 0.5 && !canBreathe) {
-        entity.hibernating = true;
-      }
-      
-      if (entity.hibernating && canBreathe && entity.timeSinceFed < entity.starvationResistance * 0.3) {
-        entity.hibernating = false;
-      }
-
-      const activeMetabolism = entity.hibernating ? entity.metabolismRate * 0.1 : entity.metabolismRate;
-
-      let fx = 0, fy = 0;
-
-      if (!entity.hibernating) {
-        // Movement based on LOCOMOTION blocks
-        const hasLocomotion = entity.cellBlocks.some(b => b.type === 'LOCOMOTION');
-        const movementMultiplier = hasLocomotion ? 1.0 : 0.3;
-
-        // Hunting behavior for carnivores
-        const hasCarnivoreEnzyme = entity.cellBlocks.some(b => b.type === 'CARNIVORE_ENZYME');
-        if (hasCarnivoreEnzyme) {
-          let closest = null, minDist = Infinity;
-          
-          for (let j = 0; j < entities.length; j++) {
-            if (i === j) continue;
-            const prey = entities[j];
-            const dist = distance(entity.x, entity.y, prey.x, prey.y);
-            if (dist < minDist && dist < 150) {
-              minDist = dist;
-              closest = prey;
-            }
-          }
-          
-          if (closest) {
-            const dx = closest.x - entity.x;
-            const dy = closest.y - entity.y;
-            const dist = Math.sqrt(dx * dx + dy * dy);
-            if (dist > 0) {
-              fx += (dx / dist) * 0.3 * movementMultiplier;
-              fy += (dy / dist) * 0.3 * movementMultiplier;
-            }
-            
-            if (dist < archetype.size + 3) {
-              entity.energy = Math.min(100, entity.energy + 35);
-              entity.timeSinceFed = 0;
-              
-              for (let block of closest.cellBlocks) {
-                blocks.push({
-                  x: closest.x + (Math.random() - 0.5) * 10,
-                  y: closest.y + (Math.random() - 0.5) * 10,
-                  vx: (Math.random() - 0.5) * 0.5,
-                  vy: (Math.random() - 0.5) * 0.5,
-                  type: block.type,
-                  free: true,
-                  age: 0
-                });
-              }
-              
-              entities.splice(j, 1);
-              if (j < i) i--;
-            }
-          }
-        }
-
-        // Random movement
-        fx += (Math.random() - 0.5) * 0.08 * movementMultiplier;
-        fy += (Math.random() - 0.5) * 0.08 * movementMultiplier;
-
-        entity.vx += fx * params.speed;
-        entity.vy += fy * params.speed;
-        entity.vx *= 0.96;
-        entity.vy *= 0.96;
-
-        const speed = Math.sqrt(entity.vx ** 2 + entity.vy ** 2);
-        const maxSpeed = archetype.speed * params.speed;
-        if (speed > maxSpeed) {
-          entity.vx = (entity.vx / speed) * maxSpeed;
-          entity.vy = (entity.vy / speed) * maxSpeed;
-        }
-
-        entity.x += entity.vx;
-        entity.y += entity.vy;
-
-        if (entity.x < 0) entity.x = canvas.width;
-        if (entity.x > canvas.width) entity.x = 0;
-        if (entity.y < 0) entity.y = canvas.height;
-        if (entity.y > canvas.height) entity.y = 0;
-      }
-
-      // Gas exchange
-      if (canBreathe) {
-        const hasChloroplast = entity.cellBlocks.some(b => b.type === 'CHLOROPLAST');
-        const hasMitochondria = entity.cellBlocks.some(b => b.type === 'MITOCHONDRIA');
-        
-        if (hasAerobic) cell.oxygen -= activeMetabolism * 2;
-        if (hasAquatic) cell.co2 -= activeMetabolism * 2;
-        if (hasChloroplast) cell.oxygen += activeMetabolism * 3;
-        if (hasMitochondria) cell.co2 += activeMetabolism * 3;
-        
-        entity.energy -= activeMetabolism;
-      } else {
-        entity.energy -= activeMetabolism * 2;
-      }
-
-      entity.timeSinceFed++;
-
-      // Reproduction
-      if (entity.energy > 75 && entity.timeSinceFed < 60 && Math.random() < 0.002) {
-        const child = {
-          ...entity,
-          id: Math.random(),
-          x: entity.x + (Math.random() - 0.5) * 20,
-          y: entity.y + (Math.random() - 0.5) * 20,
-          vx: (Math.random() - 0.5) * 0.3,
-          vy: (Math.random() - 0.5) * 0.3,
-          energy: 60,
-          age: 0,
-          timeSinceFed: 0,
-          hibernating: false,
-          starvationResistance: entity.starvationResistance + (Math.random() - 0.5) * 20,
-          metabolismRate: entity.metabolismRate * (0.95 + Math.random() * 0.1),
-          cellBlocks: entity.cellBlocks.map(b => ({...b}))
-        };
-        entity.energy = 50;
-        entities.push(child);
-      }
-
-      entity.age++;
-
-      if (entity.timeSinceFed > entity.starvationResistance && entity.energy <= 10) {
-        for (let block of entity.cellBlocks) {
-          blocks.push({
-            x: entity.x + (Math.random() - 0.5) * 10,
-            y: entity.y + (Math.random() - 0.5) * 10,
-            vx: (Math.random() - 0.5) * 0.5,
-            vy: (Math.random() - 0.5) * 0.5,
-            type: block.type,
-            free: true,
-            age: 0
-          });
-        }
-        entities.splice(i, 1);
-      }
-    }
-
-    // Spontaneous block generation
-    if (Math.random() < 0.05) {
-      const blockTypes = Object.keys(BLOCK_TYPES);
-      blocks.push({
-        x: Math.random() * canvas.width,
-        y: Math.random() * canvas.height,
-        vx: (Math.random() - 0.5) * 0.2,
-        vy: (Math.random() - 0.5) * 0.2,
-        type: blockTypes[Math.floor(Math.random() * blockTypes.length)],
-        free: true,
-        age: 0
-      });
-    }
-
-    // Update stats
-    const typeCounts = {};
-    const typeStats = {};
-    let hibernating = 0, totalEnergy = 0, totalAge = 0;
-    
-    for (let e of entities) {
-      typeCounts[e.type] = (typeCounts[e.type] || 0) + 1;
-      if (e.hibernating) hibernating++;
-      totalEnergy += e.energy;
-      totalAge += e.age;
-      
-      if (!typeStats[e.type]) {
-        typeStats[e.type] = { count: 0, avgEnergy: 0, avgAge: 0, avgStarvation: 0, avgMetabolism: 0 };
-      }
-      
-      typeStats[e.type].count++;
-      typeStats[e.type].avgEnergy += e.energy;
-      typeStats[e.type].avgAge += e.age;
-      typeStats[e.type].avgStarvation += e.starvationResistance;
-      typeStats[e.type].avgMetabolism += e.metabolismRate;
-    }
-    
-    for (let type in typeStats) {
-      const count = typeStats[type].count;
-      typeStats[type].avgEnergy = (typeStats[type].avgEnergy / count).toFixed(1);
-      typeStats[type].avgAge = Math.floor(typeStats[type].avgAge / count);
-      typeStats[type].avgStarvation = Math.floor(typeStats[type].avgStarvation / count);
-      typeStats[type].avgMetabolism = (typeStats[type].avgMetabolism / count).toFixed(3);
-    }
-    
-    setStats({
-      ...typeCounts,
-      typeStats,
-      blocks: blocks.filter(b => b.free).length,
-      hibernating,
-      totalOrganisms: entities.length,
-      avgEnergy: entities.length > 0 ? (totalEnergy / entities.length).toFixed(1) : 0,
-      avgAge: entities.length > 0 ? Math.floor(totalAge / entities.length) : 0
-    });
+  // Simulated time at 1x, where one tick is one fixed timestep
+  const formatSimTime = (tick) => {
+    const totalSeconds = Math.floor((tick * TICK_INTERVAL_MS) / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    return `${hours}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
   };
 
   const drawRoundedShape = (ctx, shape, size, x, y, angle) => {
@@ -893,10 +411,31 @@ const EcosystemSimulator = () => {
     ctx.restore();
   };
 
+  // Offset into the frame's entity array of the organism with this id
+  const findEntity = (frame, id) => {
+    const i = frame.entityIds.indexOf(id);
+    return i >= 0 ? i * ENTITY_STRIDE : -1;
+  };
+
   const render = () => {
     const canvas = canvasRef.current;
     const ctx = canvas?.getContext('2d');
     if (!ctx) return;
+    const frame = simulationRef.current?.frame;
+    const inspected = inspectionRef.current;
+
+    // Following moves the camera every frame without going through React
+    if (frame && followingRef.current && inspected?.kind === 'entity') {
+      const index = findEntity(frame, inspected.id);
+      if (index >= 0) {
+        cameraRef.current = {
+          ...cameraRef.current,
+          x: canvas.width / 2 - frame.entities[index + 0],
+          y: canvas.height / 2 - frame.entities[index + 1]
+        };
+      }
+    }
+    const camera = cameraRef.current;
 
     ctx.save();
     ctx.setTransform(1, 0, 0, 1, 0, 0);
@@ -910,33 +449,56 @@ const EcosystemSimulator = () => {
     ctx.fillStyle = '#0a0a0a';
     ctx.fillRect(0, 0, canvas.width, canvas.height);
 
-    const gasGrid = gasGridRef.current;
-    
-    // Draw gas grid
-    if (gasGrid) {
-      for (let y = 0; y < gasGrid.length; y++) {
-        for (let x = 0; x < gasGrid[0].length; x++) {
-          const cell = gasGrid[y][x];
-          const oxygenAlpha = Math.floor((cell.oxygen / 100) * 30);
-          const co2Alpha = Math.floor((cell.co2 / 100) * 30);
-          
-          ctx.fillStyle = `rgba(56, 189, 248, ${oxygenAlpha / 255})`;
-          ctx.fillRect(x * GRID_CELL_SIZE, y * GRID_CELL_SIZE, GRID_CELL_SIZE, GRID_CELL_SIZE);
-          
-          ctx.fillStyle = `rgba(148, 163, 184, ${co2Alpha / 255})`;
-          ctx.fillRect(x * GRID_CELL_SIZE, y * GRID_CELL_SIZE, GRID_CELL_SIZE / 2, GRID_CELL_SIZE / 2);
+    if (!frame) {
+      ctx.restore();
+      return;
+    }
+
+    const { gas, gasChannels, gasCellSize, gasCols, gasRows, terrain, blocks, entities, cellBlocks, corpses, blockInfo: blockTypeInfo, archetypeInfo } = frame;
+
+    // Draw terrain under the gas overlay
+    if (terrain) {
+      for (let y = 0; y < gasRows; y++) {
+        for (let x = 0; x < gasCols; x++) {
+          ctx.fillStyle = MEDIA[terrain[y * gasCols + x]].color;
+          ctx.fillRect(x * gasCellSize, y * gasCellSize, gasCellSize, gasCellSize);
         }
       }
     }
+    
+    // Draw oxygen and CO2 from the chemical field
+    const oxygen = gasChannels.findIndex(channel => channel.name === 'oxygen');
+    const co2 = gasChannels.findIndex(channel => channel.name === 'co2');
+    for (let y = 0; y < gasRows; y++) {
+      for (let x = 0; x < gasCols; x++) {
+        const index = (y * gasCols + x) * gasChannels.length;
+        const oxygenAlpha = Math.floor((gas[index + oxygen] / gasChannels[oxygen].max) * 30);
+        const co2Alpha = Math.floor((gas[index + co2] / gasChannels[co2].max) * 30);
+        
+        ctx.fillStyle = `rgba(56, 189, 248, ${oxygenAlpha / 255})`;
+        ctx.fillRect(x * gasCellSize, y * gasCellSize, gasCellSize, gasCellSize);
+        
+        ctx.fillStyle = `rgba(148, 163, 184, ${co2Alpha / 255})`;
+        ctx.fillRect(x * gasCellSize, y * gasCellSize, gasCellSize / 2, gasCellSize / 2);
+      }
+    }
+
+    // Draw corpses, shrinking as they break down
+    ctx.fillStyle = 'rgba(120, 83, 45, 0.7)';
+    for (let i = 0; i < corpses.length; i += CORPSE_STRIDE) {
+      ctx.beginPath();
+      ctx.arc(corpses[i + 0], corpses[i + 1], 2 + Math.sqrt(corpses[i + 2]) * 1.5, 0, Math.PI * 2);
+      ctx.fill();
+    }
 
     // Draw free building blocks
-    const blocks = buildingBlocksRef.current;
-    for (let block of blocks) {
-      if (!block.free) continue;
-      
-      const blockInfo = BLOCK_TYPES[block.type];
+    for (let i = 0; i < blocks.length; i += BLOCK_STRIDE) {
+      const bx = blocks[i + 0];
+      const by = blocks[i + 1];
+      const blockInfo = blockTypeInfo[blocks[i + 2]];
+
       ctx.beginPath();
-      ctx.arc(block.x, block.y, 3, 0, Math.PI * 2);
+      ctx.arc(bx, by, 3, 0, Math.PI * 2);
       ctx.fillStyle = blockInfo.color;
       ctx.fill();
       
@@ -945,18 +507,22 @@ const EcosystemSimulator = () => {
       ctx.font = '4px monospace';
       ctx.textAlign = 'center';
       ctx.textBaseline = 'middle';
-      ctx.fillText(blockInfo.symbol, block.x, block.y);
+      ctx.fillText(blockInfo.symbol, bx, by);
     }
 
     // Draw organisms
-    const entities = entitiesRef.current;
-    
     // First draw building blocks inside cells
-    for (let entity of entities) {
-      for (let block of entity.cellBlocks) {
-        const blockInfo = BLOCK_TYPES[block.type];
-        const bx = entity.x + block.relX;
-        const by = entity.y + block.relY;
+    for (let i = 0; i < entities.length; i += ENTITY_STRIDE) {
+      const ex = entities[i + 0];
+      const ey = entities[i + 1];
+      const first = entities[i + 7];
+      const count = entities[i + 8];
+
+      for (let j = first; j < first + count; j++) {
+        const block = j * CELL_BLOCK_STRIDE;
+        const blockInfo = blockTypeInfo[cellBlocks[block + 2]];
+        const bx = ex + cellBlocks[block + 0];
+        const by = ey + cellBlocks[block + 1];
         
         ctx.beginPath();
         ctx.arc(bx, by, 2.5, 0, Math.PI * 2);
@@ -973,37 +539,171 @@ const EcosystemSimulator = () => {
     }
 
     // Then draw cell membranes
-    for (let entity of entities) {
-      const archetype = entity.archetype;
-      const opacity = entity.hibernating ? 0.5 : Math.max(0.7, entity.energy / 100);
-      const angle = Math.atan2(entity.vy, entity.vx);
+    for (let i = 0; i < entities.length; i += ENTITY_STRIDE) {
+      const ex = entities[i + 0];
+      const ey = entities[i + 1];
+      const archetype = archetypeInfo[entities[i + 4]];
+      const energy = entities[i + 5];
+      const hibernating = entities[i + 6] === 1;
+      const size = entities[i + 9];
+      const opacity = hibernating ? 0.5 : Math.max(0.7, Math.min(1, energy / 100));
+      const angle = Math.atan2(entities[i + 3], entities[i + 2]);
       
       ctx.strokeStyle = archetype.color + Math.floor(opacity * 255).toString(16).padStart(2, '0');
       ctx.lineWidth = 2.5;
       ctx.fillStyle = 'transparent';
       
-      drawRoundedShape(ctx, archetype.shape, archetype.size, entity.x, entity.y, angle);
+      drawRoundedShape(ctx, archetype.shape, size, ex, ey, angle);
       ctx.stroke();
 
       // Hibernation indicator
-      if (entity.hibernating) {
+      if (hibernating) {
         ctx.strokeStyle = '#60a5fa';
         ctx.lineWidth = 3;
         ctx.beginPath();
-        ctx.arc(entity.x, entity.y, archetype.size + 4, 0, Math.PI * 2);
+        ctx.arc(ex, ey, size + 4, 0, Math.PI * 2);
         ctx.stroke();
       }
     }
 
+    // Night falls over the world; with the depth gradient it is darker further down
+    const shade = (1 - frame.light) * NIGHT_SHADE;
+    if (frame.lightGradient === 'depth') {
+      const gradient = ctx.createLinearGradient(0, 0, 0, frame.height);
+      gradient.addColorStop(0, `rgba(0, 0, 0, ${shade})`);
+      gradient.addColorStop(1, `rgba(0, 0, 0, ${(1 - frame.light * DEPTH_LIGHT_FLOOR) * NIGHT_SHADE})`);
+      ctx.fillStyle = gradient;
+      ctx.fillRect(0, 0, frame.width, frame.height);
+    } else if (shade > 0) {
+      ctx.fillStyle = `rgba(0, 0, 0, ${shade})`;
+      ctx.fillRect(0, 0, frame.width, frame.height);
+    }
+
+    // Recent events ring out from where they happened and fade
+    const now = performance.now();
+    flashesRef.current = flashesRef.current.filter(({ at }) => now - at < FLASH_MS);
+    for (let { x, y, color, at } of flashesRef.current) {
+      const progress = (now - at) / FLASH_MS;
+      ctx.strokeStyle = color + Math.floor((1 - progress) * 255).toString(16).padStart(2, '0');
+      ctx.lineWidth = 2 / camera.zoom;
+      ctx.beginPath();
+      ctx.arc(x, y, 6 + progress * 24, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+
+    // Brush outline under the pointer
+    const brush = brushRef.current;
+    if (brush.tool && brush.position) {
+      ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.arc(brush.position.x, brush.position.y, brush.radius, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+
+    // Selection marker
+    if (inspected && !inspected.gone) {
+      let x = inspected.x, y = inspected.y, radius = 6;
+      if (inspected.kind === 'entity') {
+        const index = findEntity(frame, inspected.id);
+        if (index >= 0) {
+          x = entities[index + 0];
+          y = entities[index + 1];
+          radius = entities[index + 9] + 8;
+        }
+      }
+      ctx.strokeStyle = '#facc15';
+      ctx.lineWidth = 1.5;
+      ctx.setLineDash([4, 3]);
+      ctx.beginPath();
+      ctx.arc(x, y, radius, 0, Math.PI * 2);
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+
     ctx.restore();
   };
 
-  const animate = () => {
-    if (isRunning) {
-      update();
+  // Inverse of the camera transform in render(): a mouse event's position in
+  // world coordinates
+  const screenToWorld = (e) => {
+    const canvas = canvasRef.current;
+    const rect = canvas.getBoundingClientRect();
+    const px = (e.clientX - rect.left) * (canvas.width / rect.width);
+    const py = (e.clientY - rect.top) * (canvas.height / rect.height);
+    const { x, y, zoom } = cameraRef.current;
+    return {
+      x: (px - canvas.width / 2) / zoom + canvas.width / 2 - x,
+      y: (py - canvas.height / 2) / zoom + canvas.height / 2 - y
+    };
+  };
+
+  const inspectAt = async (e) => {
+    const simulation = simulationRef.current;
+    if (!simulation) return;
+
+    const { x, y } = screenToWorld(e);
+    const result = await simulation.pick(x, y, 10 / cameraRef.current.zoom);
+    setInspection(result);
+    if (result?.kind !== 'entity') {
+      setFollowing(false);
+    }
+  };
+
+  const closeInspector = () => {
+    stopFollowing();
+    setInspection(null);
+    simulationRef.current?.clearInspection();
+  };
+
+  // Keys the tool selects fall back to the first of the current ruleset, so
+  // a ruleset switch never leaves a stale choice behind
+  const rulesetBlockTypes = Object.keys(rulesetInfo?.ruleset.blockTypes || {});
+  const rulesetArchetypes = Object.entries(rulesetInfo?.ruleset.archetypes || {});
+  const toolBlockType = rulesetBlockTypes.includes(toolOptions.blockType) ? toolOptions.blockType : rulesetBlockTypes[0];
+  const toolArchetype = rulesetArchetypes.some(([key]) => key === toolOptions.archetype)
+    ? toolOptions.archetype
+    : rulesetArchetypes[0]?.[0];
+  // Likewise for a gas channel removed from the field
+  const toolGas = params.channels.some(({ name }) => name === toolOptions.gas) ? toolOptions.gas : 'oxygen';
+
+  const applyTool = (e) => {
+    const simulation = simulationRef.current;
+    if (!simulation) return;
+
+    const { x, y } = screenToWorld(e);
+    const { radius, gasDirection } = toolOptions;
+    let request;
+    switch (tool) {
+      case 'spray':
+        request = simulation.sprayBlocks(toolBlockType, x, y, radius, SPRAY_COUNT);
+        break;
+      case 'organism':
+        request = simulation.addEntity(toolArchetype, x, y);
+        break;
+      case 'erase':
+        request = simulation.erase(x, y, radius);
+        break;
+      case 'gas':
+        request = simulation.adjustGas(toolGas, x, y, radius, GAS_STEP * gasDirection);
+        break;
+      case 'terrain':
+        request = simulation.paintTerrain(toolOptions.medium, x, y, radius);
+        break;
+      default:
+        return;
     }
-    render();
-    animationRef.current = requestAnimationFrame(animate);
+    brushRef.current.lastApplied = performance.now();
+    request.catch(error => console.warn(`Failed to apply ${tool} tool:`, error));
+  };
+
+  // Hand the followed position back to React's camera state
+  const stopFollowing = () => {
+    if (!followingRef.current) return;
+    followingRef.current = false;
+    setFollowing(false);
+    const { x, y } = cameraRef.current;
+    setCamera(prev => ({ ...prev, x, y }));
   };
 
   // Mouse/wheel handlers for zoom and pan
@@ -1017,7 +717,13 @@ const EcosystemSimulator = () => {
   };
 
   const handleMouseDown = (e) => {
+    if (e.button === 0 && tool !== 'pan') {
+      brushRef.current.active = true;
+      applyTool(e);
+      return;
+    }
     if (e.button === 0) { // Left click
+      pointerDownRef.current = { x: e.clientX, y: e.clientY };
       setCamera(prev => ({
         ...prev,
         isDragging: true,
@@ -1028,7 +734,20 @@ const EcosystemSimulator = () => {
   };
 
   const handleMouseMove = (e) => {
+    const brush = brushRef.current;
+    brush.position = screenToWorld(e);
+    if (brush.active) {
+      if (brush.tool && performance.now() - brush.lastApplied >= BRUSH_INTERVAL_MS) {
+        applyTool(e);
+      }
+      return;
+    }
+
     if (camera.isDragging) {
+      // Panning by hand takes over from following, once it is clearly a drag
+      const down = pointerDownRef.current;
+      if (followingRef.current && down && Math.hypot(e.clientX - down.x, e.clientY - down.y) < 4) return;
+      stopFollowing();
       const dx = (e.clientX - camera.lastX) * params.panSensitivity;
       const dy = (e.clientY - camera.lastY) * params.panSensitivity;
       
@@ -1042,7 +761,22 @@ const EcosystemSimulator = () => {
     }
   };
 
-  const handleMouseUp = () => {
+  const handleMouseUp = (e) => {
+    if (e.type === 'mouseleave') {
+      brushRef.current.position = null;
+    }
+    if (brushRef.current.active) {
+      brushRef.current.active = false;
+      publishStats();
+      return;
+    }
+
+    const down = pointerDownRef.current;
+    pointerDownRef.current = null;
+    // A press that barely moved is a click, which picks instead of panning
+    if (down && e.type === 'mouseup' && Math.hypot(e.clientX - down.x, e.clientY - down.y) < 4) {
+      inspectAt(e);
+    }
     setCamera(prev => ({ ...prev, isDragging: false }));
   };
 
@@ -1051,47 +785,278 @@ const EcosystemSimulator = () => {
     const container = containerRef.current;
     if (!canvas || !container) return;
 
-    // Initialize WebGPU
-    const initWebGPU = async () => {
-      const gpu = new WebGPUCompute();
-      const success = await gpu.initialize();
-      if (success) {
-        webgpuRef.current = gpu;
-        gpuBuffersRef.current = {};
-        setUseWebGPU(true);
-        console.log('WebGPU enabled for simulation');
-      } else {
-        console.log('Using CPU fallback for simulation');
-      }
+    // The worker owns the world and picks WebGPU or CPU on its own
+    const simulation = new SimulationClient({
+      width: params.canvasWidth,
+      height: params.canvasHeight,
+      initialBlocks: params.initialBlocks,
+      seed: params.seed,
+      speed: params.speed,
+      attractionRange: params.attractionRange,
+      historyInterval: params.historyInterval,
+      dayLength: params.dayLength,
+      lightGradient: params.lightGradient,
+      gridCellSize: params.gridCellSize,
+      boundary: params.boundary,
+      channels: params.channels,
+      closedSystem: params.closedSystem,
+      terrain: params.terrain
+    }, BUNDLED_RULESETS[rulesetId]);
+    simulationRef.current = simulation;
+    simulation.ready.then(({ acceleration, ruleset }) => {
+      setUseWebGPU(acceleration === 'webgpu');
+      setRulesetInfo(ruleset);
+      console.log(acceleration === 'webgpu' ? 'WebGPU enabled for simulation' : 'Using CPU fallback for simulation');
+    });
+
+    loopRef.current = new SimulationLoop({
+      simulation,
+      render,
+      publish: publishStats,
+      isRunning: () => isRunningRef.current,
+      getSpeed: () => ticksPerFrameRef.current
+    });
+    loopRef.current.start();
+
+    return () => {
+      loopRef.current.stop();
+      simulation.terminate();
     };
+  }, []);
 
-    initWebGPU();
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const container = containerRef.current;
+    const simulation = simulationRef.current;
+    if (!canvas || !container || !simulation) return;
 
     // Set canvas to use params dimensions or default to 80% container width
     const displayWidth = container.offsetWidth * 0.8;
     const displayHeight = container.offsetHeight;
-    
+
     canvas.width = params.canvasWidth;
     canvas.height = params.canvasHeight;
     canvas.style.width = displayWidth + 'px';
     canvas.style.height = displayHeight + 'px';
-    
-    initSimulation();
-    animate();
 
-    return () => {
-      if (animationRef.current) {
-        cancelAnimationFrame(animationRef.current);
-      }
-      if (webgpuRef.current) {
-        webgpuRef.current.dispose();
-      }
-    };
+    // Resize the running world rather than starting a new one
+    if (simulation.params.width !== params.canvasWidth || simulation.params.height !== params.canvasHeight) {
+      simulation.resize(params.canvasWidth, params.canvasHeight);
+    }
   }, [params.canvasWidth, params.canvasHeight]);
 
   useEffect(() => {
+    const simulation = simulationRef.current;
+    // Loading a snapshot brings these in line with the world, so only a real
+    // change starts a new run
+    if (!simulation || (
+      simulation.params.initialBlocks === params.initialBlocks &&
+      simulation.params.seed === params.seed &&
+      simulation.params.terrain === params.terrain &&
+      simulation.params.gridCellSize === params.gridCellSize
+    )) return;
     initSimulation();
-  }, [params.initialBlocks]);
+  }, [params.initialBlocks, params.seed, params.terrain, params.gridCellSize]);
+
+  useEffect(() => {
+    simulationRef.current?.setParams({
+      speed: params.speed,
+      attractionRange: params.attractionRange,
+      historyInterval: params.historyInterval,
+      dayLength: params.dayLength,
+      lightGradient: params.lightGradient,
+      boundary: params.boundary,
+      channels: params.channels,
+      closedSystem: params.closedSystem
+    })
+      ?.then(() => setParamsError(null))
+      .catch(error => {
+        console.warn('Failed to apply parameters:', error);
+        setParamsError(error.message);
+      });
+  }, [params.speed, params.attractionRange, params.historyInterval, params.dayLength, params.lightGradient, params.boundary, params.channels, params.closedSystem]);
+
+  // Refresh straight away rather than waiting for the next publish
+  useEffect(() => {
+    publishLineage();
+  }, [showLineages, selectedLineage]);
+
+  useEffect(() => {
+    publishLedger();
+  }, [showLedger]);
+
+  const downloadFile = (contents, type, filename) => {
+    const blob = new Blob([contents], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const saveSnapshot = async () => {
+    const simulation = simulationRef.current;
+    if (!simulation) return;
+
+    const snapshot = await simulation.createSnapshot({
+      params,
+      rulesetId,
+      camera: { x: camera.x, y: camera.y, zoom: camera.zoom }
+    });
+    downloadFile(JSON.stringify(snapshot), 'application/json', `ecosystem-${snapshot.params.seed}-t${snapshot.tick}.json`);
+  };
+
+  const exportHistory = (format) => {
+    const { samples, archetypes } = historyRef.current;
+    const name = `ecosystem-${params.seed}-history`;
+    if (format === 'csv') {
+      downloadFile(historyToCSV(samples), 'text/csv', `${name}.csv`);
+    } else {
+      downloadFile(
+        JSON.stringify({ interval: params.historyInterval, archetypes, samples }),
+        'application/json',
+        `${name}.json`
+      );
+    }
+  };
+
+  // One line per archetype that appears anywhere in the history
+  const archetypeSeries = (read) => historyArchetypes(history.samples).map(type => ({
+    key: type,
+    label: history.archetypes[type]?.name || type,
+    color: history.archetypes[type]?.color || '#9ca3af',
+    value: (sample) => read(sample.archetypes[type])
+  }));
+
+  const handleLoadSnapshot = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    const simulation = simulationRef.current;
+    if (!file || !simulation) return;
+
+    try {
+      const view = await simulation.loadSnapshot(JSON.parse(await file.text()));
+      const loaded = simulation.params;
+      setParams(prev => ({
+        ...prev,
+        ...view.params,
+        initialBlocks: loaded.initialBlocks,
+        seed: loaded.seed,
+        terrain: loaded.terrain,
+        dayLength: loaded.dayLength,
+        lightGradient: loaded.lightGradient,
+        gridCellSize: loaded.gridCellSize,
+        boundary: loaded.boundary,
+        channels: loaded.channels,
+        closedSystem: loaded.closedSystem,
+        scenario: loaded.scenario,
+        canvasWidth: loaded.width,
+        canvasHeight: loaded.height
+      }));
+      if (view.camera) {
+        setCamera(prev => ({ ...prev, ...view.camera, isDragging: false }));
+      }
+      // Snapshots from before rulesets always ran the default one
+      setRulesetId(view.rulesetId || DEFAULT_RULESET_ID);
+      setRulesetInfo(simulation.ruleset);
+      setRulesetError(null);
+      publishStats();
+      setSnapshotError(null);
+    } catch (error) {
+      console.warn('Failed to load snapshot:', error);
+      setSnapshotError(error.message);
+    }
+  };
+
+  // Switch the world to another chemistry, which starts a new run
+  const applyRuleset = async (id, data) => {
+    const simulation = simulationRef.current;
+    if (!simulation) return;
+
+    try {
+      setRulesetInfo(await simulation.setRuleset(data));
+      setRulesetId(id);
+      setSelectedLineage(null);
+      setRulesetError(null);
+      publishStats();
+    } catch (error) {
+      console.warn('Failed to load ruleset:', error);
+      setRulesetError(error.message);
+    }
+  };
+
+  // Apply the editor's changes to the running world; errors go back to the
+  // editor
+  const applyRulesetEdit = async (data) => {
+    const simulation = simulationRef.current;
+    if (!simulation) return;
+
+    setRulesetInfo(await simulation.updateRuleset(data));
+    setRulesetId('custom');
+    publishStats();
+  };
+
+  const handleLoadRuleset = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    let data;
+    try {
+      data = JSON.parse(await file.text());
+    } catch (error) {
+      setRulesetError(`Ruleset is not valid JSON: ${error.message}`);
+      return;
+    }
+    applyRuleset('custom', data);
+  };
+
+  // Start the run over with the scenario so every step fires on schedule
+  const handleLoadScenario = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    const simulation = simulationRef.current;
+    if (!file || !simulation) return;
+
+    let scenario;
+    try {
+      scenario = JSON.parse(await file.text());
+    } catch (error) {
+      setScenarioError(`Scenario is not valid JSON: ${error.message}`);
+      return;
+    }
+    try {
+      await simulation.reset({ initialBlocks: params.initialBlocks, seed: params.seed, terrain: params.terrain, gridCellSize: params.gridCellSize, scenario });
+      setParams(prev => ({ ...prev, scenario }));
+      setSelectedLineage(null);
+      setScenarioError(null);
+      publishStats();
+    } catch (error) {
+      console.warn('Failed to load scenario:', error);
+      setScenarioError(error.message);
+    }
+  };
+
+  // Stop the scenario without restarting the run; baselines it set go back
+  // to the configured ones
+  const clearScenario = async () => {
+    const simulation = simulationRef.current;
+    if (!simulation) return;
+
+    try {
+      await simulation.setParams({ scenario: null });
+      setParams(prev => ({ ...prev, scenario: null }));
+      setScenarioError(null);
+    } catch (error) {
+      console.warn('Failed to clear scenario:', error);
+      setScenarioError(error.message);
+    }
+  };
+
+  const scenarioTimeline = history.samples.length > 0
+    ? scenarioMarkers(params.scenario, history.samples[0].tick, history.samples[history.samples.length - 1].tick)
+    : [];
 
   const resetCamera = () => {
     setCamera({ x: 0, y: 0, zoom: 1, isDragging: false, lastX: 0, lastY: 0 });
@@ -1103,7 +1068,7 @@ const EcosystemSimulator = () => {
       <div className="relative" style={{ width: '80%', height: '100vh' }}>
         <canvas
           ref={canvasRef}
-          className="w-full h-full cursor-move"
+          className={`w-full h-full ${tool === 'pan' ? 'cursor-move' : 'cursor-crosshair'}`}
           onWheel={handleWheel}
           onMouseDown={handleMouseDown}
           onMouseMove={handleMouseMove}
@@ -1113,14 +1078,110 @@ const EcosystemSimulator = () => {
         
         {/* Camera controls overlay */}
         <div className="absolute top-4 left-4 bg-gray-800 bg-opacity-90 p-3 rounded-lg">
-          <div className="flex items-center gap-2 text-white text-sm mb-2">
-            <Move size={16} />
-            <span>Click & Drag to Pan | Scroll to Zoom</span>
+          <div className="flex gap-1 mb-2">
+            {TOOLS.map(({ id, icon: Icon, label }) => (
+              <button
+                key={id}
+                onClick={() => setTool(id)}
+                title={label}
+                className={`p-2 rounded-lg transition-colors ${
+                  tool === id ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'
+                }`}
+              >
+                <Icon size={16} />
+              </button>
+            ))}
           </div>
+
+          {tool === 'pan' && (
+            <div className="text-white text-sm mb-2">Click to Inspect | Drag to Pan | Scroll to Zoom</div>
+          )}
+          {tool === 'spray' && (
+            <select
+              value={toolBlockType}
+              onChange={(e) => setToolOptions({ ...toolOptions, blockType: e.target.value })}
+              className="w-full mb-2 px-2 py-1 bg-gray-700 text-white rounded text-xs"
+            >
+              {rulesetBlockTypes.map(type => <option key={type} value={type}>{type}</option>)}
+            </select>
+          )}
+          {tool === 'organism' && (
+            <select
+              value={toolArchetype}
+              onChange={(e) => setToolOptions({ ...toolOptions, archetype: e.target.value })}
+              className="w-full mb-2 px-2 py-1 bg-gray-700 text-white rounded text-xs"
+            >
+              {rulesetArchetypes.map(([key, archetype]) => <option key={key} value={key}>{archetype.name}</option>)}
+            </select>
+          )}
+          {tool === 'gas' && (
+            <div className="flex gap-1 mb-2">
+              <select
+                value={toolGas}
+                onChange={(e) => setToolOptions({ ...toolOptions, gas: e.target.value })}
+                className="flex-1 px-2 py-1 bg-gray-700 text-white rounded text-xs"
+              >
+                {params.channels.map(({ name }) => <option key={name} value={name}>{GAS_LABELS[name] || name}</option>)}
+              </select>
+              {[[1, '+'], [-1, '−']].map(([direction, label]) => (
+                <button
+                  key={label}
+                  onClick={() => setToolOptions({ ...toolOptions, gasDirection: direction })}
+                  className={`px-3 py-1 rounded text-xs ${
+                    toolOptions.gasDirection === direction
+                      ? 'bg-blue-600 text-white'
+                      : 'bg-gray-700 text-gray-300 hover:bg-gray-600'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          )}
+          {tool === 'terrain' && (
+            <div className="flex gap-1 mb-2">
+              {[WATER, SHORE, LAND].map(medium => (
+                <button
+                  key={medium}
+                  onClick={() => setToolOptions({ ...toolOptions, medium })}
+                  className={`flex-1 px-2 py-1 rounded text-xs ${
+                    toolOptions.medium === medium ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'
+                  }`}
+                >
+                  {MEDIA[medium].name}
+                </button>
+              ))}
+            </div>
+          )}
+          {BRUSH_TOOLS.includes(tool) && (
+            <div className="flex items-center gap-2 mb-2 text-xs text-gray-400">
+              <span>Radius</span>
+              <input
+                type="range"
+                min="5"
+                max="100"
+                value={toolOptions.radius}
+                onChange={(e) => setToolOptions({ ...toolOptions, radius: parseInt(e.target.value) })}
+                className="flex-1"
+              />
+              <span className="font-mono text-white w-8 text-right">{toolOptions.radius}</span>
+            </div>
+          )}
+
           <div className="text-gray-400 text-xs">
             Zoom: {camera.zoom.toFixed(2)}x
           </div>
         </div>
+
+        {inspection && (
+          <Inspector
+            inspection={inspection}
+            blockInfo={rulesetInfo?.ruleset.blockTypes}
+            following={following}
+            onFollow={() => following ? stopFollowing() : setFollowing(true)}
+            onClose={closeInspector}
+          />
+        )}
       </div>
 
       {/* Control Panel - 20% width */}
@@ -1162,6 +1223,125 @@ const EcosystemSimulator = () => {
                 <RotateCcw size={14} /> Reset
               </button>
             </div>
+
+            <div className="flex gap-2 mb-4">
+              <button
+                onClick={() => stepTicks(1)}
+                disabled={isRunning}
+                title="Advance one tick"
+                className="px-3 py-2 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed text-white rounded-lg flex items-center justify-center gap-2 transition-colors text-sm"
+              >
+                <StepForward size={14} /> Step
+              </button>
+              <input
+                type="number"
+                min={VALIDATION_RANGES.stepCount.min}
+                max={VALIDATION_RANGES.stepCount.max}
+                value={stepCount}
+                onChange={(e) => {
+                  const val = parseInt(e.target.value) || VALIDATION_RANGES.stepCount.default;
+                  setStepCount(Math.max(VALIDATION_RANGES.stepCount.min, Math.min(VALIDATION_RANGES.stepCount.max, val)));
+                }}
+                className="flex-1 min-w-0 px-3 py-2 bg-gray-700 text-white rounded-lg text-sm font-mono focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <button
+                onClick={() => stepTicks(stepCount)}
+                disabled={isRunning}
+                title={`Advance ${stepCount} ticks`}
+                className="px-3 py-2 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed text-white rounded-lg flex items-center justify-center transition-colors text-sm"
+              >
+                <FastForward size={14} />
+              </button>
+            </div>
+
+            <div className="mb-4">
+              <label className="block text-xs text-gray-400 mb-1">Ticks per Frame</label>
+              <div className="flex gap-2">
+                {SPEED_MULTIPLIERS.map(multiplier => (
+                  <button
+                    key={multiplier}
+                    onClick={() => setTicksPerFrame(multiplier)}
+                    className={`flex-1 px-2 py-1 rounded-lg text-xs transition-colors ${
+                      ticksPerFrame === multiplier
+                        ? 'bg-blue-600 text-white'
+                        : 'bg-gray-700 hover:bg-gray-600 text-gray-300'
+                    }`}
+                  >
+                    {multiplier === MAX_SPEED ? 'Max' : `${multiplier}x`}
+                  </button>
+                ))}
+              </div>
+              {ticksPerFrame === MAX_SPEED && isRunning && (
+                <div className="text-yellow-400 text-xs mt-2">Rendering paused at max speed</div>
+              )}
+            </div>
+
+            <div className="bg-gray-900 rounded-lg p-3 mb-4">
+              <div className="space-y-2 text-xs">
+                <div className="flex justify-between">
+                  <span className="text-gray-400">Tick:</span>
+                  <span className="text-white font-mono">{stats.tick || 0}</span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-gray-400">Simulated Time:</span>
+                  <span className="text-white font-mono">{formatSimTime(stats.tick || 0)}</span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-gray-400">Light:</span>
+                  <span className="text-white font-mono">{Math.round((stats.light ?? 1) * 100)}%</span>
+                </div>
+              </div>
+            </div>
+
+            <div>
+              <label className="block text-xs text-gray-400 mb-1">Seed</label>
+              <div className="flex gap-2">
+                <input
+                  type="number"
+                  min={VALIDATION_RANGES.seed.min}
+                  max={VALIDATION_RANGES.seed.max}
+                  value={params.seed}
+                  onChange={(e) => {
+                    const val = parseInt(e.target.value) || 0;
+                    setParams({ ...params, seed: Math.max(VALIDATION_RANGES.seed.min, Math.min(VALIDATION_RANGES.seed.max, val)) });
+                  }}
+                  className="flex-1 min-w-0 px-3 py-2 bg-gray-700 text-white rounded-lg text-sm font-mono focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+                <button
+                  onClick={() => setParams({ ...params, seed: randomSeed() })}
+                  title="New random seed"
+                  className="px-3 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded-lg flex items-center justify-center transition-colors text-sm"
+                >
+                  <Shuffle size={14} />
+                </button>
+              </div>
+            </div>
+
+            <div className="flex gap-2 mt-4">
+              <button
+                onClick={saveSnapshot}
+                className="flex-1 px-3 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded-lg flex items-center justify-center gap-2 transition-colors text-sm"
+              >
+                <Download size={14} /> Save
+              </button>
+
+              <button
+                onClick={() => snapshotInputRef.current?.click()}
+                className="flex-1 px-3 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded-lg flex items-center justify-center gap-2 transition-colors text-sm"
+              >
+                <Upload size={14} /> Load
+              </button>
+              <input
+                ref={snapshotInputRef}
+                type="file"
+                accept="application/json,.json"
+                onChange={handleLoadSnapshot}
+                className="hidden"
+              />
+            </div>
+            {snapshotError && (
+              <div className="text-red-400 text-xs mt-2">{snapshotError}</div>
+            )}
           </div>
 
           {/* Environment Parameters */}
@@ -1171,6 +1351,189 @@ const EcosystemSimulator = () => {
             </h2>
             
             <div className="space-y-4">
+              <div>
+                <label className="block text-xs text-gray-400 mb-1">Ruleset</label>
+                <div className="flex gap-2">
+                  <select
+                    value={rulesetId}
+                    onChange={(e) => applyRuleset(e.target.value, BUNDLED_RULESETS[e.target.value])}
+                    className="flex-1 min-w-0 px-3 py-2 bg-gray-700 text-white rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  >
+                    {Object.entries(BUNDLED_RULESETS).map(([id, ruleset]) => (
+                      <option key={id} value={id}>{ruleset.name}</option>
+                    ))}
+                    {rulesetId === 'custom' && (
+                      <option value="custom">{rulesetInfo?.ruleset.name || 'Custom'}</option>
+                    )}
+                  </select>
+                  <button
+                    onClick={() => setIsEditingRuleset(!isEditingRuleset)}
+                    disabled={!rulesetInfo}
+                    title="Edit archetypes and block types"
+                    className={`px-3 py-2 ${isEditingRuleset ? 'bg-blue-600 hover:bg-blue-700' : 'bg-gray-700 hover:bg-gray-600'} disabled:opacity-50 text-white rounded-lg flex items-center justify-center transition-colors text-sm`}
+                  >
+                    <Pencil size={14} />
+                  </button>
+                  <button
+                    onClick={() => rulesetInputRef.current?.click()}
+                    title="Load ruleset from a JSON file"
+                    className="px-3 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded-lg flex items-center justify-center transition-colors text-sm"
+                  >
+                    <Upload size={14} />
+                  </button>
+                  <input
+                    ref={rulesetInputRef}
+                    type="file"
+                    accept="application/json,.json"
+                    onChange={handleLoadRuleset}
+                    className="hidden"
+                  />
+                </div>
+                {rulesetInfo?.ruleset.description && (
+                  <div className="text-gray-500 text-xs mt-2">{rulesetInfo.ruleset.description}</div>
+                )}
+                {rulesetInfo?.warnings.map(warning => (
+                  <div key={warning} className="text-yellow-400 text-xs mt-1">{warning}</div>
+                ))}
+                {rulesetError && (
+                  <div className="text-red-400 text-xs mt-2">{rulesetError}</div>
+                )}
+              </div>
+
+              {isEditingRuleset && rulesetInfo && (
+                <RulesetEditor ruleset={rulesetInfo.ruleset} onApply={applyRulesetEdit} />
+              )}
+
+              <div>
+                <label className="block text-xs text-gray-400 mb-1">Scenario</label>
+                <div className="flex gap-2">
+                  <div className="flex-1 min-w-0 px-3 py-2 bg-gray-700 text-white rounded-lg text-sm truncate">
+                    {params.scenario ? params.scenario.name || 'Untitled scenario' : 'None'}
+                  </div>
+                  {params.scenario && (
+                    <button
+                      onClick={clearScenario}
+                      title="Stop running the scenario"
+                      className="px-3 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded-lg flex items-center justify-center transition-colors text-sm"
+                    >
+                      <X size={14} />
+                    </button>
+                  )}
+                  <button
+                    onClick={() => scenarioInputRef.current?.click()}
+                    title="Load a scenario from a JSON file and restart the run with it"
+                    className="px-3 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded-lg flex items-center justify-center transition-colors text-sm"
+                  >
+                    <Upload size={14} />
+                  </button>
+                  <input
+                    ref={scenarioInputRef}
+                    type="file"
+                    accept="application/json,.json"
+                    onChange={handleLoadScenario}
+                    className="hidden"
+                  />
+                </div>
+                {params.scenario && (
+                  <ol className="mt-2 space-y-1 text-xs">
+                    {params.scenario.steps.map((step, i) => (
+                      <li key={i} className="flex justify-between gap-2">
+                        <span className="text-gray-200">{describeStep(step)}</span>
+                        <span className="text-gray-500 font-mono shrink-0">{describeTiming(step)}</span>
+                      </li>
+                    ))}
+                  </ol>
+                )}
+                {scenarioError && (
+                  <div className="text-red-400 text-xs mt-2">{scenarioError}</div>
+                )}
+              </div>
+
+              <div>
+                <label className="block text-xs text-gray-400 mb-1">Terrain</label>
+                <select
+                  value={params.terrain}
+                  onChange={(e) => setParams({ ...params, terrain: e.target.value })}
+                  className="w-full px-3 py-2 bg-gray-700 text-white rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  {Object.entries(TERRAIN_OPTIONS).map(([mode, label]) => (
+                    <option key={mode} value={mode}>{label}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-xs text-gray-400 mb-1">Day Length (ticks, 0 = always day)</label>
+                <input
+                  type="number"
+                  min={VALIDATION_RANGES.dayLength.min}
+                  max={VALIDATION_RANGES.dayLength.max}
+                  value={params.dayLength}
+                  onChange={(e) => {
+                    const val = parseInt(e.target.value);
+                    setParams({ ...params, dayLength: Number.isNaN(val) ? VALIDATION_RANGES.dayLength.default : Math.max(VALIDATION_RANGES.dayLength.min, Math.min(VALIDATION_RANGES.dayLength.max, val)) });
+                  }}
+                  className="w-full px-3 py-2 bg-gray-700 text-white rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+
+              <div>
+                <label className="block text-xs text-gray-400 mb-1">Light Gradient</label>
+                <select
+                  value={params.lightGradient}
+                  onChange={(e) => setParams({ ...params, lightGradient: e.target.value })}
+                  className="w-full px-3 py-2 bg-gray-700 text-white rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  {Object.entries(LIGHT_GRADIENT_OPTIONS).map(([gradient, label]) => (
+                    <option key={gradient} value={gradient}>{label}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-xs text-gray-400 mb-1">Field Boundary</label>
+                <div className="flex gap-2">
+                  <select
+                    value={params.boundary}
+                    onChange={(e) => setParams({ ...params, boundary: e.target.value })}
+                    className="flex-1 min-w-0 px-3 py-2 bg-gray-700 text-white rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  >
+                    {BOUNDARY_MODES.map(mode => (
+                      <option key={mode} value={mode}>{BOUNDARY_LABELS[mode]}</option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={() => setIsEditingChannels(!isEditingChannels)}
+                    title="Edit chemical channels"
+                    className={`px-3 py-2 ${isEditingChannels ? 'bg-blue-600 hover:bg-blue-700' : 'bg-gray-700 hover:bg-gray-600'} text-white rounded-lg flex items-center justify-center transition-colors text-sm`}
+                  >
+                    <Pencil size={14} />
+                  </button>
+                </div>
+                {paramsError && (
+                  <div className="text-red-400 text-xs mt-2">{paramsError}</div>
+                )}
+              </div>
+
+              {isEditingChannels && (
+                <ChannelEditor channels={params.channels} onApply={(channels) => setParams({ ...params, channels })} />
+              )}
+
+              <div>
+                <label className="block text-xs text-gray-400 mb-1">Field Cell Size (px, restarts the run)</label>
+                <input
+                  type="number"
+                  min={VALIDATION_RANGES.gridCellSize.min}
+                  max={VALIDATION_RANGES.gridCellSize.max}
+                  value={params.gridCellSize}
+                  onChange={(e) => {
+                    const val = parseInt(e.target.value);
+                    setParams({ ...params, gridCellSize: Number.isNaN(val) ? VALIDATION_RANGES.gridCellSize.default : Math.max(VALIDATION_RANGES.gridCellSize.min, Math.min(VALIDATION_RANGES.gridCellSize.max, val)) });
+                  }}
+                  className="w-full px-3 py-2 bg-gray-700 text-white rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+
               <div>
                 <label className="block text-xs text-gray-400 mb-1">Building Blocks</label>
                 <input
@@ -1326,6 +1689,10 @@ const EcosystemSimulator = () => {
                   <span className="text-green-400">Free Blocks:</span>
                   <span className="text-white font-mono">{stats.blocks || 0}</span>
                 </div>
+                <div className="flex justify-between">
+                  <span className="text-amber-600">Detritus Blocks:</span>
+                  <span className="text-white font-mono">{stats.detritus || 0}</span>
+                </div>
               </div>
             </div>
 
@@ -1333,9 +1700,9 @@ const EcosystemSimulator = () => {
             <div className="space-y-3">
               {Object.entries(stats).map(([type, count]) => {
                 if (type === 'blocks' || type === 'hibernating' || type === 'totalOrganisms' || 
-                    type === 'avgEnergy' || type === 'avgAge' || type === 'typeStats') return null;
+                    type === 'avgEnergy' || type === 'avgAge' || type === 'typeStats' || type === 'tick' || type === 'light' || type === 'detritus' || type === 'archetypes') return null;
                 
-                const archetype = ORGANISM_ARCHETYPES[type];
+                const archetype = stats.archetypes?.[type];
                 const typeStatData = stats.typeStats?.[type];
                 
                 if (!archetype || !typeStatData) return null;
@@ -1371,6 +1738,162 @@ const EcosystemSimulator = () => {
               })}
             </div>
           </div>
+
+          {/* Population History */}
+          <div className="border-t border-gray-700 pt-6 mt-6">
+            <h2 className="text-sm font-semibold text-gray-300 mb-3 uppercase tracking-wide">
+              History
+            </h2>
+
+            <div className="mb-4">
+              <label className="block text-xs text-gray-400 mb-1">Sample Every (ticks)</label>
+              <input
+                type="number"
+                min={VALIDATION_RANGES.historyInterval.min}
+                max={VALIDATION_RANGES.historyInterval.max}
+                value={params.historyInterval}
+                onChange={(e) => {
+                  const val = parseInt(e.target.value) || VALIDATION_RANGES.historyInterval.default;
+                  setParams({ ...params, historyInterval: Math.max(VALIDATION_RANGES.historyInterval.min, Math.min(VALIDATION_RANGES.historyInterval.max, val)) });
+                }}
+                className="w-full px-3 py-2 bg-gray-700 text-white rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+
+            <div className="space-y-3">
+              <HistoryChart
+                title="Population"
+                samples={history.samples}
+                markers={scenarioTimeline}
+                series={archetypeSeries(stats => stats ? stats.count : 0)}
+              />
+              <HistoryChart
+                title="Avg Energy"
+                samples={history.samples}
+                markers={scenarioTimeline}
+                series={archetypeSeries(stats => stats?.avgEnergy)}
+              />
+              <HistoryChart
+                title="Avg Metabolism"
+                samples={history.samples}
+                markers={scenarioTimeline}
+                series={archetypeSeries(stats => stats?.avgMetabolism)}
+              />
+              <HistoryChart
+                title="Blocks & Hibernation"
+                samples={history.samples}
+                markers={scenarioTimeline}
+                series={[
+                  { key: 'blocks', label: 'Free Blocks', color: '#4ade80', value: sample => sample.blocks },
+                  { key: 'detritus', label: 'Detritus', color: '#b45309', value: sample => sample.detritus },
+                  { key: 'hibernating', label: 'Hibernating', color: '#60a5fa', value: sample => sample.hibernating }
+                ]}
+              />
+              <HistoryChart
+                title="Light"
+                samples={history.samples}
+                markers={scenarioTimeline}
+                series={[
+                  { key: 'light', label: 'Daylight', color: '#fde047', value: sample => sample.light }
+                ]}
+              />
+              <HistoryChart
+                title="Mean Gas Levels"
+                samples={history.samples}
+                markers={scenarioTimeline}
+                series={[
+                  { key: 'oxygen', label: 'Oxygen', color: '#38bdf8', value: sample => sample.oxygen },
+                  { key: 'co2', label: 'CO₂', color: '#94a3b8', value: sample => sample.co2 }
+                ]}
+              />
+            </div>
+
+            <div className="flex gap-2 mt-4">
+              <button
+                onClick={() => exportHistory('csv')}
+                disabled={history.samples.length === 0}
+                className="flex-1 px-3 py-2 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 text-white rounded-lg flex items-center justify-center gap-2 transition-colors text-sm"
+              >
+                <Download size={14} /> CSV
+              </button>
+              <button
+                onClick={() => exportHistory('json')}
+                disabled={history.samples.length === 0}
+                className="flex-1 px-3 py-2 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 text-white rounded-lg flex items-center justify-center gap-2 transition-colors text-sm"
+              >
+                <Download size={14} /> JSON
+              </button>
+            </div>
+          </div>
+
+          {/* Lineages */}
+          <div className="border-t border-gray-700 pt-6 mt-6">
+            <div className="flex items-center justify-between mb-3">
+              <h2 className="text-sm font-semibold text-gray-300 uppercase tracking-wide">
+                Lineages
+              </h2>
+              <button
+                onClick={() => setShowLineages(!showLineages)}
+                title={showLineages ? 'Hide lineages' : 'Show lineages'}
+                className={`px-2 py-1 ${showLineages ? 'bg-blue-600 hover:bg-blue-700' : 'bg-gray-700 hover:bg-gray-600'} text-white rounded-lg flex items-center justify-center transition-colors text-xs`}
+              >
+                <GitBranch size={14} />
+              </button>
+            </div>
+            {showLineages && (
+              <PhylogenyPanel data={lineageData} selected={selectedLineage} onSelect={setSelectedLineage} />
+            )}
+          </div>
+
+          {/* Event log */}
+          <div className="border-t border-gray-700 pt-6 mt-6">
+            <div className="flex items-center justify-between mb-3">
+              <h2 className="text-sm font-semibold text-gray-300 uppercase tracking-wide">
+                Events
+              </h2>
+              <button
+                onClick={() => setShowEvents(!showEvents)}
+                title={showEvents ? 'Hide events' : 'Show events'}
+                className={`px-2 py-1 ${showEvents ? 'bg-blue-600 hover:bg-blue-700' : 'bg-gray-700 hover:bg-gray-600'} text-white rounded-lg flex items-center justify-center transition-colors text-xs`}
+              >
+                <List size={14} />
+              </button>
+            </div>
+            {showEvents && (
+              <EventLogPanel
+                events={eventLog.events}
+                archetypes={eventLog.archetypes}
+                filters={eventFilters}
+                onToggleFilter={(category) => setEventFilters(prev => ({ ...prev, [category]: !prev[category] }))}
+                onSelect={showEvent}
+              />
+            )}
+          </div>
+
+          {/* Conservation ledger */}
+          <div className="border-t border-gray-700 pt-6 mt-6">
+            <div className="flex items-center justify-between mb-3">
+              <h2 className="text-sm font-semibold text-gray-300 uppercase tracking-wide">
+                Ledger
+              </h2>
+              <button
+                onClick={() => setShowLedger(!showLedger)}
+                title={showLedger ? 'Hide ledger' : 'Show ledger'}
+                className={`px-2 py-1 ${showLedger ? 'bg-blue-600 hover:bg-blue-700' : 'bg-gray-700 hover:bg-gray-600'} text-white rounded-lg flex items-center justify-center transition-colors text-xs`}
+              >
+                <Scale size={14} />
+              </button>
+            </div>
+            <label className="flex items-center gap-2 text-xs text-gray-300 mb-3" title="No spontaneous blocks, no decay towards baselines, no gas caps and nothing through an open boundary">
+              <input
+                type="checkbox"
+                checked={params.closedSystem}
+                onChange={(e) => setParams({ ...params, closedSystem: e.target.checked })}
+              />
+              Closed system (no outside inputs)
+            </label>
+            {showLedger && <LedgerPanel report={ledger} />}
+          </div>
         </div>
       </div>
     </div>
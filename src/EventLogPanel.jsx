@@ -0,0 +1,90 @@
+import React from 'react';
+
+// Event types grouped for filtering, with the colour each group is listed
+// and flashed on the canvas in
+export const EVENT_CATEGORIES = {
+  species: { label: 'Species', color: '#f472b6', types: ['speciesAppeared', 'extinction'] },
+  formation: { label: 'Formed', color: '#34d399', types: ['entityFormed'] },
+  births: { label: 'Births', color: '#a3e635', types: ['entityBorn'] },
+  predation: { label: 'Predation', color: '#ef4444', types: ['predation'] },
+  starvation: { label: 'Starved', color: '#f59e0b', types: ['starved'] },
+  hibernation: { label: 'Hibernation', color: '#60a5fa', types: ['hibernationStarted', 'hibernationEnded'] },
+  blocks: { label: 'Blocks', color: '#9ca3af', types: ['blockSpawned'] },
+  scenario: { label: 'Scenario', color: '#c084fc', types: ['scenarioStep'] }
+};
+
+export const eventCategory = (type) =>
+  Object.keys(EVENT_CATEGORIES).find(category => EVENT_CATEGORIES[category].types.includes(type));
+
+// Most events listed at once; the log itself keeps more of each kind
+const MAX_SHOWN = 500;
+
+const describeEvent = (event, nameOf) => {
+  const at = `(${Math.round(event.x)}, ${Math.round(event.y)})`;
+  switch (event.type) {
+    case 'entityFormed':
+      return `${nameOf(event.archetype)} formed at ${at}`;
+    case 'entityBorn':
+      return `${nameOf(event.archetype)} #${event.id} born to #${event.parentId}`;
+    case 'predation':
+      return `${nameOf(event.predatorArchetype)} ate ${nameOf(event.preyArchetype)} #${event.preyId}`;
+    case 'starved':
+      return `${nameOf(event.archetype)} #${event.id} starved`;
+    case 'hibernationStarted':
+      return `${nameOf(event.archetype)} #${event.id} began hibernating`;
+    case 'hibernationEnded':
+      return `${nameOf(event.archetype)} #${event.id} woke from hibernation`;
+    case 'blockSpawned':
+      return `${event.blockType} block appeared at ${at}`;
+    case 'speciesAppeared':
+      return `${nameOf(event.archetype)} appeared for the first time at ${at}`;
+    case 'extinction':
+      return `${nameOf(event.archetype)} went extinct at ${at}`;
+    case 'scenarioStep':
+      return `Scenario step ${event.index + 1}: ${event.label}`;
+    default:
+      return event.type;
+  }
+};
+
+// Filterable list of recent events, newest first. Clicking one hands it to
+// onSelect, which pans the camera there.
+const EventLogPanel = ({ events, archetypes, filters, onToggleFilter, onSelect }) => {
+  const nameOf = (type) => archetypes[type]?.name || type;
+  const shown = events.filter(event => filters[eventCategory(event.type)]).slice(-MAX_SHOWN).reverse();
+
+  return (
+    <div className="space-y-2 text-xs">
+      <div className="flex flex-wrap gap-1">
+        {Object.entries(EVENT_CATEGORIES).map(([category, { label, color }]) => (
+          <button
+            key={category}
+            onClick={() => onToggleFilter(category)}
+            className={`px-2 py-1 rounded flex items-center gap-1 ${filters[category] ? 'bg-gray-600 text-white' : 'bg-gray-800 text-gray-500'}`}
+          >
+            <span className="inline-block w-2 h-2 rounded-full" style={{ backgroundColor: color }} />
+            {label}
+          </button>
+        ))}
+      </div>
+
+      <div className="max-h-64 overflow-y-auto bg-gray-900 rounded-lg">
+        {shown.length === 0 && <div className="p-2 text-gray-400">No events yet</div>}
+        {shown.map(event => (
+          <button
+            key={event.seq}
+            onClick={() => onSelect(event)}
+            title="Show on the canvas"
+            className="w-full flex gap-2 px-2 py-1 text-left hover:bg-gray-700"
+          >
+            <span className="font-mono text-gray-500 w-12 shrink-0 text-right">{event.tick}</span>
+            <span className="inline-block w-2 h-2 mt-1 rounded-full shrink-0" style={{ backgroundColor: EVENT_CATEGORIES[eventCategory(event.type)].color }} />
+            <span className="text-gray-200">{describeEvent(event, nameOf)}</span>
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default EventLogPanel;
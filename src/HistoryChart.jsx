@@ -0,0 +1,89 @@
+import React from 'react';
+
+const WIDTH = 240;
+const HEIGHT = 80;
+
+const formatValue = (value) =>
+  Math.abs(value) >= 100 ? value.toFixed(0) : Math.abs(value) >= 1 ? value.toFixed(1) : value.toFixed(3);
+
+// Line chart of history samples. Each series reads its value from a sample
+// and may return undefined where it has no data, which leaves a gap. Markers
+// ({ tick, label }) draw as dashed lines, titled with their label.
+const HistoryChart = ({ title, samples, series, markers = [] }) => {
+  if (samples.length < 2) return null;
+
+  const firstTick = samples[0].tick;
+  const tickSpan = Math.max(1, samples[samples.length - 1].tick - firstTick);
+
+  let min = Infinity, max = -Infinity;
+  for (let { value } of series) {
+    for (let sample of samples) {
+      const v = value(sample);
+      if (v === undefined) continue;
+      min = Math.min(min, v);
+      max = Math.max(max, v);
+    }
+  }
+  if (min === Infinity) return null;
+  if (max === min) {
+    max += 1;
+    min = Math.max(0, min - 1);
+  }
+
+  const toX = (tick) => ((tick - firstTick) / tickSpan) * WIDTH;
+  const toY = (v) => HEIGHT - ((v - min) / (max - min)) * HEIGHT;
+
+  const path = (value) => {
+    let d = '', penDown = false;
+    for (let sample of samples) {
+      const v = value(sample);
+      if (v === undefined) {
+        penDown = false;
+        continue;
+      }
+      d += `${penDown ? 'L' : 'M'}${toX(sample.tick).toFixed(1)},${toY(v).toFixed(1)}`;
+      penDown = true;
+    }
+    return d;
+  };
+
+  return (
+    <div className="bg-gray-900 rounded-lg p-3">
+      <div className="flex justify-between text-xs mb-1">
+        <span className="text-gray-300">{title}</span>
+        <span className="text-gray-500 font-mono">{formatValue(min)}–{formatValue(max)}</span>
+      </div>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} preserveAspectRatio="none" className="w-full" style={{ height: HEIGHT }}>
+        {markers.filter(({ tick }) => tick >= firstTick && tick <= firstTick + tickSpan).map(({ tick, label }, i) => (
+          <line
+            key={`${tick}-${i}`}
+            x1={toX(tick)}
+            x2={toX(tick)}
+            y1={0}
+            y2={HEIGHT}
+            stroke="#c084fc"
+            strokeWidth="1"
+            strokeDasharray="3 3"
+            vectorEffect="non-scaling-stroke"
+          >
+            <title>{`t${tick}: ${label}`}</title>
+          </line>
+        ))}
+        {series.map(({ key, color, value }) => (
+          <path key={key} d={path(value)} fill="none" stroke={color} strokeWidth="1.5" vectorEffect="non-scaling-stroke" />
+        ))}
+      </svg>
+      <div className="flex justify-between text-xs text-gray-500 font-mono">
+        <span>t{firstTick}</span>
+        <span>t{firstTick + tickSpan}</span>
+      </div>
+      <div className="flex flex-wrap gap-x-2 text-xs mt-1">
+        {series.map(({ key, label, color }) => (
+          <span key={key} style={{ color }}>{label}</span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default HistoryChart;
@@ -0,0 +1,99 @@
+import React from 'react';
+import { X, Crosshair } from 'lucide-react';
+
+const Row = ({ label, children }) => (
+  <div className="flex justify-between gap-4">
+    <span className="text-gray-400">{label}</span>
+    <span className="text-white font-mono">{children}</span>
+  </div>
+);
+
+const GAS_NAMES = { oxygen: 'Oxygen', co2: 'CO₂' };
+const GAS_LABELS = { oxygen: 'O₂', co2: 'CO₂' };
+
+// Live details of the picked organism or free block
+const Inspector = ({ inspection, blockInfo, following, onFollow, onClose }) => {
+  const colorOf = (type) => blockInfo?.[type]?.color || '#9ca3af';
+
+  let body;
+  if (inspection.gone) {
+    body = (
+      <div className="text-gray-400">
+        {inspection.kind === 'entity' ? `Organism #${inspection.id} has died` : 'This block has been absorbed'}
+      </div>
+    );
+  } else if (inspection.kind === 'block') {
+    body = (
+      <>
+        <div className="font-semibold mb-2" style={{ color: inspection.color }}>
+          {inspection.type} block
+        </div>
+        <Row label="Function">{inspection.function}</Row>
+        <Row label="Position">{Math.round(inspection.x)}, {Math.round(inspection.y)}</Row>
+        <Row label="Speed">{Math.hypot(inspection.vx, inspection.vy).toFixed(3)}</Row>
+        <Row label="Age">{inspection.age}</Row>
+      </>
+    );
+  } else {
+    const breathing = inspection.breathes
+      ? `${GAS_NAMES[inspection.breathes]} ${inspection.canBreathe ? '✓' : '✗ (suffocating)'}`
+      : 'None needed';
+    const { sight, smell } = inspection.senses;
+    const senses = sight > 0 || smell > 0
+      ? [sight > 0 && `sight ${Math.round(sight)}`, smell > 0 && `smell ${Math.round(smell)}`].filter(Boolean).join(' · ')
+      : 'Blind';
+    body = (
+      <>
+        <div className="font-semibold mb-2" style={{ color: inspection.color }}>
+          {inspection.name} #{inspection.id}
+        </div>
+        <Row label="Archetype">{inspection.type}</Row>
+        <Row label="Generation">{inspection.generation}{inspection.parentId !== null && ` (parent #${inspection.parentId})`}</Row>
+        <Row label="Energy">{inspection.energy.toFixed(1)}</Row>
+        <Row label="Age">{inspection.age}</Row>
+        <Row label="Eaten Blocks">{inspection.eaten}</Row>
+        <Row label="Since Fed">{inspection.timeSinceFed} / {Math.round(inspection.starvationResistance)}</Row>
+        <Row label="Metabolism">{inspection.metabolismRate.toFixed(4)}</Row>
+        <Row label="State">{inspection.hibernating ? 'Hibernating' : 'Active'}</Row>
+        <Row label="Senses">{senses}</Row>
+        <Row label="Medium">{inspection.medium}</Row>
+        <Row label="Breathing">{breathing}</Row>
+        {inspection.gas && (
+          <Row label="Gas Here">
+            {Object.entries(inspection.gas).map(([name, value]) => `${GAS_LABELS[name] || name} ${value.toFixed(1)}`).join(' · ')}
+          </Row>
+        )}
+        <div className="text-gray-400 mt-2 mb-1">Cell Blocks ({inspection.cellBlocks.length})</div>
+        <div className="flex flex-wrap gap-1">
+          {inspection.cellBlocks.map((type, i) => (
+            <span key={i} className="px-1 rounded font-mono" style={{ backgroundColor: colorOf(type), color: '#000' }} title={type}>
+              {blockInfo?.[type]?.symbol || '?'}
+            </span>
+          ))}
+        </div>
+      </>
+    );
+  }
+
+  return (
+    <div className="absolute top-4 right-4 bg-gray-800 bg-opacity-95 p-3 rounded-lg text-xs w-64 space-y-1">
+      <div className="flex justify-end gap-1">
+        {inspection.kind === 'entity' && !inspection.gone && (
+          <button
+            onClick={onFollow}
+            title={following ? 'Stop following' : 'Keep the camera on this organism'}
+            className={`p-1 rounded ${following ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'}`}
+          >
+            <Crosshair size={12} />
+          </button>
+        )}
+        <button onClick={onClose} title="Close" className="p-1 rounded bg-gray-700 text-gray-300 hover:bg-gray-600">
+          <X size={12} />
+        </button>
+      </div>
+      {body}
+    </div>
+  );
+};
+
+export default Inspector;
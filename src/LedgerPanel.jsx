@@ -0,0 +1,104 @@
+import React, { useState } from 'react';
+import { LEDGER_PROCESSES, EXTERNAL_PROCESSES } from './engine/ledger.js';
+
+const GAS_LABELS = { oxygen: 'O₂', co2: 'CO₂' };
+
+// Relative error below which floating point noise counts as balanced
+const BALANCE_TOLERANCE = 1e-6;
+
+// One number out of a set of ledger amounts: 'energy', 'blocks' for every
+// block type together, or 'block:TYPE' / 'gas:NAME' for one of them
+const amountOf = (amounts, quantity) => {
+  if (!amounts) return 0;
+  if (quantity === 'energy') return amounts.energy;
+  if (quantity === 'blocks') return Object.values(amounts.blocks).reduce((sum, count) => sum + count, 0);
+  const [kind, key] = quantity.split(':');
+  return (kind === 'block' ? amounts.blocks[key] : amounts.gas[key]) || 0;
+};
+
+const format = (value, quantity) => {
+  const rounded = quantity === 'blocks' || quantity.startsWith('block:') ? String(Math.round(value)) : value.toFixed(2);
+  return rounded === '-0.00' ? '0.00' : rounded;
+};
+
+// Totals of the world's blocks, gas and organism energy since the books
+// were last restarted, and the processes that moved them
+const LedgerPanel = ({ report }) => {
+  const [quantity, setQuantity] = useState('blocks');
+
+  if (!report) {
+    return <div className="text-xs text-gray-400">Waiting for the first tick…</div>;
+  }
+
+  const blockTypes = Object.keys({ ...report.start.blocks, ...report.totals.blocks });
+  const gases = Object.keys(report.totals.gas);
+  const options = [
+    ['blocks', 'All blocks'],
+    ...blockTypes.map(type => [`block:${type}`, `${type} blocks`]),
+    ...gases.map(name => [`gas:${name}`, GAS_LABELS[name] || name]),
+    ['energy', 'Organism energy']
+  ];
+  const selected = options.some(([key]) => key === quantity) ? quantity : 'blocks';
+
+  const start = amountOf(report.start, selected);
+  const now = amountOf(report.totals, selected);
+  const unaccounted = amountOf(report.cumulative.unaccounted, selected);
+  const balanced = Math.abs(unaccounted) <= BALANCE_TOLERANCE * Math.max(1, Math.abs(now));
+  const processes = LEDGER_PROCESSES.filter(process =>
+    amountOf(report.cumulative.flows[process], selected) !== 0 || amountOf(report.last.flows[process], selected) !== 0
+  );
+
+  return (
+    <div className="space-y-2 text-xs">
+      <select
+        value={selected}
+        onChange={(e) => setQuantity(e.target.value)}
+        className="w-full px-2 py-1 bg-gray-700 text-white rounded text-xs"
+      >
+        {options.map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+      </select>
+
+      <div className="bg-gray-900 rounded-lg p-2 space-y-1">
+        <div className="flex justify-between">
+          <span className="text-gray-400">At tick {report.startTick}</span>
+          <span className="text-white font-mono">{format(start, selected)}</span>
+        </div>
+        <div className="flex justify-between">
+          <span className="text-gray-400">At tick {report.tick}</span>
+          <span className="text-white font-mono">{format(now, selected)}</span>
+        </div>
+      </div>
+
+      <table className="w-full">
+        <thead>
+          <tr className="text-gray-500">
+            <th className="text-left font-normal">Process</th>
+            <th className="text-right font-normal">Last tick</th>
+            <th className="text-right font-normal">Total</th>
+          </tr>
+        </thead>
+        <tbody className="font-mono">
+          {processes.map(process => (
+            <tr key={process} title={EXTERNAL_PROCESSES.includes(process) ? 'Exchange with the outside; off in a closed system' : undefined}>
+              <td className={`font-sans ${EXTERNAL_PROCESSES.includes(process) ? 'text-yellow-400' : 'text-gray-300'}`}>{process}</td>
+              <td className="text-right text-gray-300">{format(amountOf(report.last.flows[process], selected), selected)}</td>
+              <td className="text-right text-white">{format(amountOf(report.cumulative.flows[process], selected), selected)}</td>
+            </tr>
+          ))}
+          {processes.length === 0 && (
+            <tr>
+              <td colSpan={3} className="font-sans text-gray-400">Nothing has changed it yet</td>
+            </tr>
+          )}
+        </tbody>
+      </table>
+
+      <div className={`flex justify-between ${balanced ? 'text-green-400' : 'text-red-400'}`}>
+        <span>{balanced ? 'Balanced' : 'Unaccounted'}</span>
+        <span className="font-mono">{format(unaccounted, selected)}</span>
+      </div>
+    </div>
+  );
+};
+
+export default LedgerPanel;
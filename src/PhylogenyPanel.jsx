@@ -0,0 +1,154 @@
+import React, { useState } from 'react';
+
+const WIDTH = 240;
+const ROW_HEIGHT = 6;
+
+// Largest trait change from the founder the colour scale distinguishes
+const TRAIT_RANGE = 0.25;
+
+const COLOR_MODES = {
+  archetype: 'Archetype',
+  metabolismRate: 'Metabolism',
+  starvationResistance: 'Starvation'
+};
+
+// Blue below the founder's value, red above, grey when unchanged
+const traitColor = (value, founderValue) => {
+  const change = founderValue > 0 ? value / founderValue - 1 : 0;
+  const t = Math.max(-1, Math.min(1, change / TRAIT_RANGE));
+  const hue = t < 0 ? 210 : 0;
+  return `hsl(${hue}, ${Math.round(Math.abs(t) * 80)}%, 60%)`;
+};
+
+// Members in depth-first order, so every subtree occupies consecutive rows
+const orderTree = (records) => {
+  const children = new Map();
+  let root = null;
+  for (let record of records) {
+    if (record.parentId === null) {
+      root = record;
+    } else {
+      if (!children.has(record.parentId)) children.set(record.parentId, []);
+      children.get(record.parentId).push(record);
+    }
+  }
+
+  const ordered = [];
+  const visit = (record) => {
+    ordered.push(record);
+    for (let child of children.get(record.id) || []) visit(child);
+  };
+  if (root) visit(root);
+  return ordered;
+};
+
+const FamilyTree = ({ records, tick, archetypes, colorMode }) => {
+  const ordered = orderTree(records);
+  if (ordered.length === 0) return null;
+
+  const founder = ordered[0];
+  const span = Math.max(1, tick - founder.birthTick);
+  const toX = (t) => ((t - founder.birthTick) / span) * WIDTH;
+  const rowOf = new Map(ordered.map((record, i) => [record.id, i]));
+  const toY = (id) => rowOf.get(id) * ROW_HEIGHT + ROW_HEIGHT / 2;
+
+  const colorOf = (record) => colorMode === 'archetype'
+    ? archetypes[record.type]?.color || '#9ca3af'
+    : traitColor(record[colorMode], founder[colorMode]);
+
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${ordered.length * ROW_HEIGHT}`} className="w-full" style={{ height: ordered.length * ROW_HEIGHT }}>
+      {ordered.map(record => {
+        const y = toY(record.id);
+        const x1 = toX(record.birthTick);
+        const x2 = toX(record.deathTick ?? tick);
+        const color = colorOf(record);
+        return (
+          <g key={record.id}>
+            {record.parentId !== null && rowOf.has(record.parentId) && (
+              <line x1={x1} y1={toY(record.parentId)} x2={x1} y2={y} stroke="#4b5563" strokeWidth="0.5" />
+            )}
+            <line x1={x1} y1={y} x2={Math.max(x2, x1 + 1)} y2={y} stroke={color} strokeWidth="2" opacity={record.deathTick === null ? 1 : 0.45}>
+              <title>
+                {`#${record.id} gen ${record.generation} · ${archetypes[record.type]?.name || record.type}\n`
+                  + `metabolism ${record.metabolismRate.toFixed(4)} · starvation ${Math.round(record.starvationResistance)}\n`
+                  + `born t${record.birthTick}${record.deathTick === null ? ' · alive' : ` · died t${record.deathTick}`}`}
+              </title>
+            </line>
+            {record.deathTick === null && <circle cx={x2} cy={y} r="1.5" fill={color} />}
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
+
+// Surviving and extinct lineages, with the family tree of the selected one
+const PhylogenyPanel = ({ data, selected, onSelect }) => {
+  const [colorMode, setColorMode] = useState('archetype');
+  if (!data) return null;
+
+  const { lineages, tree, tick, archetypes } = data;
+  const nameOf = (type) => archetypes[type]?.name || type;
+
+  return (
+    <div className="space-y-3">
+      <div className="bg-gray-900 rounded-lg p-2 max-h-48 overflow-y-auto space-y-1">
+        {lineages.length === 0 && <div className="text-gray-500 text-xs">No organisms have formed yet</div>}
+        {lineages.map(lineage => {
+          const extinct = lineage.extinctTick !== null;
+          return (
+            <button
+              key={lineage.founderId}
+              onClick={() => onSelect(extinct || selected === lineage.founderId ? null : lineage.founderId)}
+              disabled={extinct}
+              className={`w-full text-left px-2 py-1 rounded text-xs ${
+                selected === lineage.founderId ? 'bg-gray-700' : 'hover:bg-gray-800'
+              } ${extinct ? 'opacity-50 cursor-default' : ''}`}
+            >
+              <div className="flex justify-between">
+                <span style={{ color: archetypes[lineage.type]?.color }}>
+                  {nameOf(lineage.type)} #{lineage.founderId}
+                </span>
+                <span className="text-gray-400 font-mono">
+                  {extinct ? `† t${lineage.extinctTick}` : `${lineage.living}/${lineage.total}`}
+                </span>
+              </div>
+              <div className="text-gray-500">
+                Founded t{lineage.foundedTick} at ({Math.round(lineage.x)}, {Math.round(lineage.y)}) · gen {lineage.maxGeneration}
+              </div>
+            </button>
+          );
+        })}
+      </div>
+
+      {selected !== null && tree.length > 0 && (
+        <div className="bg-gray-900 rounded-lg p-3">
+          <div className="flex gap-1 mb-2">
+            {Object.entries(COLOR_MODES).map(([mode, label]) => (
+              <button
+                key={mode}
+                onClick={() => setColorMode(mode)}
+                className={`flex-1 px-1 py-0.5 rounded text-xs ${
+                  colorMode === mode ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          <div className="max-h-64 overflow-y-auto">
+            <FamilyTree records={tree} tick={tick} archetypes={archetypes} colorMode={colorMode} />
+          </div>
+          <div className="text-gray-500 text-xs mt-2">
+            {colorMode === 'archetype'
+              ? 'Faded branches have died; hover a branch for its traits'
+              : `Blue is lower, red higher than the founder (±${TRAIT_RANGE * 100}%)`}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PhylogenyPanel;
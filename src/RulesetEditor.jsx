@@ -0,0 +1,367 @@
+import React, { useEffect, useState } from 'react';
+import { Plus, Trash2, Check, Undo2 } from 'lucide-react';
+import { BLOCK_FUNCTIONS, ARCHETYPE_SHAPES, validateRuleset, findIncompatiblePair } from './engine/ruleset.js';
+
+const NEW_ARCHETYPE = {
+  name: 'New Archetype',
+  color: '#f8fafc',
+  shape: 'capsule',
+  size: 8,
+  speed: 0.2,
+  metabolism: 0.03,
+  starvationTime: 250
+};
+
+const NEW_BLOCK_TYPE = { color: '#f8fafc', symbol: '?', function: 'structure' };
+
+const inputClass = 'w-full px-2 py-1 bg-gray-700 text-white rounded text-xs focus:outline-none focus:ring-2 focus:ring-blue-500';
+const buttonClass = 'px-2 py-1 bg-gray-700 hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed text-white rounded flex items-center justify-center gap-1 transition-colors text-xs';
+
+const copy = (ruleset) => JSON.parse(JSON.stringify(ruleset));
+
+// First key of the form PREFIX_n not already in use
+const freeKey = (prefix, existing) => {
+  let n = 1;
+  while (existing[`${prefix}_${n}`]) n++;
+  return `${prefix}_${n}`;
+};
+
+const Field = ({ label, children }) => (
+  <div>
+    <label className="block text-xs text-gray-400 mb-1">{label}</label>
+    {children}
+  </div>
+);
+
+// Edits a copy of the world's ruleset. Nothing reaches the world until
+// Apply, which swaps the edited chemistry in without a reset.
+const RulesetEditor = ({ ruleset, onApply }) => {
+  const [draft, setDraft] = useState(() => copy(ruleset));
+  const [archetypeKey, setArchetypeKey] = useState(null);
+  const [blockKey, setBlockKey] = useState(null);
+  const [applyError, setApplyError] = useState(null);
+
+  // Start over from whatever the world is running now
+  useEffect(() => {
+    setDraft(copy(ruleset));
+    setApplyError(null);
+  }, [ruleset]);
+
+  const blockKeys = Object.keys(draft.blockTypes);
+  const archetypeKeys = Object.keys(draft.archetypes);
+  const selectedArchetype = draft.archetypes[archetypeKey] ? archetypeKey : archetypeKeys[0];
+  const selectedBlock = draft.blockTypes[blockKey] ? blockKey : blockKeys[0];
+  const archetype = draft.archetypes[selectedArchetype];
+  const block = draft.blockTypes[selectedBlock];
+
+  const { errors } = validateRuleset(draft);
+  const isDirty = JSON.stringify(draft) !== JSON.stringify(ruleset);
+
+  const edit = (change) => {
+    setDraft(prev => {
+      const next = copy(prev);
+      change(next);
+      return next;
+    });
+  };
+
+  const updateArchetype = (changes) => edit(next => {
+    Object.assign(next.archetypes[selectedArchetype], changes);
+  });
+
+  const setRequirement = (type, amount) => edit(next => {
+    const requires = next.archetypes[selectedArchetype].requires;
+    if (amount > 0) {
+      requires[type] = amount;
+    } else {
+      delete requires[type];
+    }
+  });
+
+  const addArchetype = () => {
+    const key = freeKey('ARCHETYPE', draft.archetypes);
+    edit(next => {
+      next.archetypes[key] = { ...NEW_ARCHETYPE, requires: { [blockKeys[0]]: 1 } };
+    });
+    setArchetypeKey(key);
+  };
+
+  // Removing an archetype also takes it out of the food web
+  const deleteArchetype = () => edit(next => {
+    delete next.archetypes[selectedArchetype];
+    const diet = next.predation.diet;
+    delete diet[selectedArchetype];
+    for (let key in diet) {
+      diet[key] = diet[key].filter(prey => prey !== selectedArchetype);
+    }
+  });
+
+  const eats = (prey) => (draft.predation.diet[selectedArchetype] || []).includes(prey);
+
+  const setPrey = (prey, eaten) => edit(next => {
+    const diet = next.predation.diet;
+    const current = (diet[selectedArchetype] || []).filter(key => key !== prey);
+    if (eaten) current.push(prey);
+    if (current.length > 0) {
+      diet[selectedArchetype] = current;
+    } else {
+      delete diet[selectedArchetype];
+    }
+  });
+
+  const updatePredation = (changes) => edit(next => {
+    Object.assign(next.predation, changes);
+  });
+
+  const updateBlock = (changes) => edit(next => {
+    Object.assign(next.blockTypes[selectedBlock], changes);
+  });
+
+  const addBlockType = () => {
+    const key = freeKey('BLOCK', draft.blockTypes);
+    edit(next => {
+      next.blockTypes[key] = { ...NEW_BLOCK_TYPE };
+    });
+    setBlockKey(key);
+  };
+
+  // Removing a block type also drops it from the chart and every recipe
+  const deleteBlockType = () => edit(next => {
+    delete next.blockTypes[selectedBlock];
+    delete next.compatibility[selectedBlock];
+    for (let type in next.compatibility) {
+      next.compatibility[type] = next.compatibility[type].filter(partner => partner !== selectedBlock);
+    }
+    for (let key in next.archetypes) {
+      delete next.archetypes[key].requires[selectedBlock];
+    }
+  });
+
+  const isCompatible = (a, b) =>
+    (draft.compatibility[a] || []).includes(b) || (draft.compatibility[b] || []).includes(a);
+
+  // A pair is compatible if either side lists the other, so clearing an edge
+  // removes it from both lists
+  const setCompatible = (partner, compatible) => edit(next => {
+    const chart = next.compatibility;
+    if (compatible) {
+      chart[selectedBlock] = [...(chart[selectedBlock] || []), partner];
+    } else {
+      for (let [a, b] of [[selectedBlock, partner], [partner, selectedBlock]]) {
+        if (chart[a]) {
+          chart[a] = chart[a].filter(type => type !== b);
+        }
+      }
+    }
+  });
+
+  const apply = async () => {
+    try {
+      await onApply(draft);
+      setApplyError(null);
+    } catch (error) {
+      setApplyError(error.message);
+    }
+  };
+
+  const incompatiblePair = archetype
+    ? findIncompatiblePair(Object.keys(archetype.requires), draft.compatibility)
+    : null;
+
+  return (
+    <div className="space-y-4">
+      {/* Archetypes */}
+      <div className="bg-gray-900 rounded-lg p-3 space-y-2">
+        <div className="flex gap-2">
+          <select
+            value={selectedArchetype || ''}
+            onChange={(e) => setArchetypeKey(e.target.value)}
+            className={inputClass}
+          >
+            {archetypeKeys.map(key => {
+              const pair = findIncompatiblePair(Object.keys(draft.archetypes[key].requires), draft.compatibility);
+              return <option key={key} value={key}>{draft.archetypes[key].name}{pair ? ' ⚠' : ''}</option>;
+            })}
+          </select>
+          <button onClick={addArchetype} disabled={blockKeys.length === 0} title="New archetype" className={buttonClass}>
+            <Plus size={12} />
+          </button>
+          <button onClick={deleteArchetype} disabled={!archetype} title="Delete archetype" className={buttonClass}>
+            <Trash2 size={12} />
+          </button>
+        </div>
+
+        {archetype && (
+          <>
+            <div className="text-gray-500 text-xs font-mono">{selectedArchetype}</div>
+            <div className="flex gap-2">
+              <div className="flex-1">
+                <Field label="Name">
+                  <input value={archetype.name} onChange={(e) => updateArchetype({ name: e.target.value })} className={inputClass} />
+                </Field>
+              </div>
+              <Field label="Colour">
+                <input type="color" value={archetype.color} onChange={(e) => updateArchetype({ color: e.target.value })} className="w-10 h-6 bg-gray-700 rounded" />
+              </Field>
+            </div>
+            <Field label="Shape">
+              <select value={archetype.shape} onChange={(e) => updateArchetype({ shape: e.target.value })} className={inputClass}>
+                {ARCHETYPE_SHAPES.map(shape => <option key={shape} value={shape}>{shape}</option>)}
+              </select>
+            </Field>
+            <div className="grid grid-cols-2 gap-2">
+              {[
+                ['size', 'Size', 1],
+                ['speed', 'Speed', 0.05],
+                ['metabolism', 'Metabolism', 0.005],
+                ['starvationTime', 'Starvation Time', 10]
+              ].map(([field, label, step]) => (
+                <Field key={field} label={label}>
+                  <input
+                    type="number"
+                    min="0"
+                    step={step}
+                    value={archetype[field]}
+                    onChange={(e) => updateArchetype({ [field]: parseFloat(e.target.value) || 0 })}
+                    className={inputClass}
+                  />
+                </Field>
+              ))}
+            </div>
+            <Field label="Recipe">
+              <div className="grid grid-cols-2 gap-1">
+                {blockKeys.map(type => (
+                  <div key={type} className="flex items-center gap-1">
+                    <span className="flex-1 text-xs truncate" style={{ color: draft.blockTypes[type].color }} title={type}>{type}</span>
+                    <input
+                      type="number"
+                      min="0"
+                      max="20"
+                      value={archetype.requires[type] || 0}
+                      onChange={(e) => setRequirement(type, Math.max(0, Math.min(20, parseInt(e.target.value) || 0)))}
+                      className="w-10 px-1 py-0.5 bg-gray-700 text-white rounded text-xs"
+                    />
+                  </div>
+                ))}
+              </div>
+            </Field>
+            {incompatiblePair && (
+              <div className="text-yellow-400 text-xs">
+                Can never form: {incompatiblePair[0]} and {incompatiblePair[1]} are incompatible
+              </div>
+            )}
+            <Field label="Eats">
+              <div className="grid grid-cols-2 gap-1">
+                {archetypeKeys.filter(key => key !== selectedArchetype).map(key => (
+                  <label key={key} className="flex items-center gap-1 text-xs text-gray-300 truncate" title={key}>
+                    <input type="checkbox" checked={eats(key)} onChange={(e) => setPrey(key, e.target.checked)} />
+                    {draft.archetypes[key].name}
+                  </label>
+                ))}
+              </div>
+            </Field>
+          </>
+        )}
+      </div>
+
+      {/* Food web rules shared by every predator */}
+      <div className="bg-gray-900 rounded-lg p-3 space-y-2">
+        <div className="text-xs text-gray-400">Predation</div>
+        <label className="flex items-center gap-2 text-xs text-gray-300">
+          <input
+            type="checkbox"
+            checked={draft.predation.cannibalism}
+            onChange={(e) => updatePredation({ cannibalism: e.target.checked })}
+          />
+          Cannibalism (predators eat their own archetype)
+        </label>
+        <div className="grid grid-cols-2 gap-2">
+          <Field label="Max Prey Size (× own)">
+            <input
+              type="number"
+              min="0.1"
+              step="0.1"
+              value={draft.predation.maxSizeRatio}
+              onChange={(e) => updatePredation({ maxSizeRatio: parseFloat(e.target.value) || 0 })}
+              className={inputClass}
+            />
+          </Field>
+          <Field label="Capture Chance">
+            <input
+              type="number"
+              min="0.05"
+              max="1"
+              step="0.05"
+              value={draft.predation.captureChance}
+              onChange={(e) => updatePredation({ captureChance: parseFloat(e.target.value) || 0 })}
+              className={inputClass}
+            />
+          </Field>
+        </div>
+      </div>
+
+      {/* Block types and compatibility chart */}
+      <div className="bg-gray-900 rounded-lg p-3 space-y-2">
+        <div className="flex gap-2">
+          <select value={selectedBlock || ''} onChange={(e) => setBlockKey(e.target.value)} className={inputClass}>
+            {blockKeys.map(key => <option key={key} value={key}>{key}</option>)}
+          </select>
+          <button onClick={addBlockType} title="New block type" className={buttonClass}>
+            <Plus size={12} />
+          </button>
+          <button onClick={deleteBlockType} disabled={!block || blockKeys.length <= 1} title="Delete block type" className={buttonClass}>
+            <Trash2 size={12} />
+          </button>
+        </div>
+
+        {block && (
+          <>
+            <div className="flex gap-2">
+              <Field label="Symbol">
+                <input value={block.symbol} maxLength={2} onChange={(e) => updateBlock({ symbol: e.target.value })} className={inputClass} />
+              </Field>
+              <Field label="Colour">
+                <input type="color" value={block.color} onChange={(e) => updateBlock({ color: e.target.value })} className="w-10 h-6 bg-gray-700 rounded" />
+              </Field>
+            </div>
+            <Field label="Function">
+              <select value={block.function} onChange={(e) => updateBlock({ function: e.target.value })} className={inputClass}>
+                {BLOCK_FUNCTIONS.map(fn => <option key={fn} value={fn}>{fn}</option>)}
+              </select>
+            </Field>
+            <Field label="Compatible With">
+              <div className="grid grid-cols-2 gap-1">
+                {blockKeys.filter(type => type !== selectedBlock).map(type => (
+                  <label key={type} className="flex items-center gap-1 text-xs text-gray-300 truncate" title={type}>
+                    <input
+                      type="checkbox"
+                      checked={isCompatible(selectedBlock, type)}
+                      onChange={(e) => setCompatible(type, e.target.checked)}
+                    />
+                    {type}
+                  </label>
+                ))}
+              </div>
+            </Field>
+          </>
+        )}
+      </div>
+
+      {errors.map(error => (
+        <div key={error} className="text-red-400 text-xs">{error}</div>
+      ))}
+      {applyError && <div className="text-red-400 text-xs">{applyError}</div>}
+
+      <div className="flex gap-2">
+        <button onClick={apply} disabled={!isDirty || errors.length > 0} className={`flex-1 ${buttonClass}`}>
+          <Check size={12} /> Apply
+        </button>
+        <button onClick={() => setDraft(copy(ruleset))} disabled={!isDirty} className={`flex-1 ${buttonClass}`}>
+          <Undo2 size={12} /> Revert
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default RulesetEditor;
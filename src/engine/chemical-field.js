@@ -0,0 +1,185 @@
+// Chemical field: a grid laid over the world whose cells each hold one value
+// per channel. Oxygen and CO2 are always present; a world can add more, such
+// as dissolved nutrients, toxins or pheromones. Every tick each channel mixes
+// with the neighbouring cells at its own diffusion rate, relaxes towards its
+// baseline at its decay rate and is clamped to [0, max]. The CPU step below
+// and the WebGPU kernel both read these settings from the channel list.
+
+// How cells on the grid edge treat the missing neighbours: 'closed' ignores
+// them, 'wrap' uses the cells on the opposite edge like the toroidal world,
+// and 'open' treats the outside as an endless reservoir at the baseline
+export const BOUNDARY_MODES = ['closed', 'wrap', 'open'];
+
+// Organisms breathe these, so every field has them
+export const REQUIRED_CHANNELS = ['oxygen', 'co2'];
+
+export const DEFAULT_CHANNELS = [
+  { name: 'oxygen', diffusion: 0.05, decay: 0.001, baseline: 50, max: 100 },
+  { name: 'co2', diffusion: 0.05, decay: 0.001, baseline: 50, max: 100 }
+];
+
+const CHANNEL_NAME = /^[a-zA-Z][a-zA-Z0-9_]*$/;
+
+// Highest mixing rate between two cells once a channel's diffusion is
+// scaled by the medium. Up to this a cell never gives away more than it
+// holds, so mixing cannot overshoot and swing the field out of bounds.
+export const MAX_MIXING_RATE = 1;
+
+// Throws with every problem found in a channel list
+export const validateChannels = (channels) => {
+  if (!Array.isArray(channels)) {
+    throw new Error('Chemical channels must be a list');
+  }
+  const errors = [];
+  const names = new Set();
+  for (let channel of channels) {
+    const { name, diffusion, decay, baseline, max } = channel || {};
+    if (typeof name !== 'string' || !CHANNEL_NAME.test(name)) {
+      errors.push(`Invalid channel name: ${name}`);
+      continue;
+    }
+    if (names.has(name)) {
+      errors.push(`Duplicate channel ${name}`);
+    }
+    names.add(name);
+    for (let [field, value] of [['diffusion', diffusion], ['decay', decay]]) {
+      if (!Number.isFinite(value) || value < 0 || value > 1) {
+        errors.push(`Channel ${name} needs a ${field} between 0 and 1`);
+      }
+    }
+    if (!Number.isFinite(max) || max <= 0) {
+      errors.push(`Channel ${name} needs a positive max`);
+    } else if (!Number.isFinite(baseline) || baseline < 0 || baseline > max) {
+      errors.push(`Channel ${name} needs a baseline between 0 and its max`);
+    }
+  }
+  for (let name of REQUIRED_CHANNELS) {
+    if (!names.has(name)) {
+      errors.push(`Missing channel ${name}`);
+    }
+  }
+  if (errors.length > 0) {
+    throw new Error(`Invalid chemical channels: ${errors.join('; ')}`);
+  }
+};
+
+export const validateBoundary = (boundary) => {
+  if (!BOUNDARY_MODES.includes(boundary)) {
+    throw new Error(`Unknown field boundary: ${boundary}`);
+  }
+};
+
+// Rows of cells covering the world, every channel at its baseline
+export const createField = (width, height, cellSize, channels) => {
+  const cols = Math.ceil(width / cellSize);
+  const rows = Math.ceil(height / cellSize);
+  const grid = [];
+
+  for (let y = 0; y < rows; y++) {
+    grid[y] = [];
+    for (let x = 0; x < cols; x++) {
+      const cell = {};
+      for (let { name, baseline } of channels) {
+        cell[name] = baseline;
+      }
+      grid[y][x] = cell;
+    }
+  }
+  return grid;
+};
+
+// Give every cell exactly the listed channels: new ones start at their
+// baseline and removed ones are dropped
+export const syncChannels = (grid, channels) => {
+  const names = new Set(channels.map(c => c.name));
+  for (let row of grid) {
+    for (let cell of row) {
+      for (let { name, baseline } of channels) {
+        if (cell[name] === undefined) cell[name] = baseline;
+      }
+      for (let name in cell) {
+        if (!names.has(name)) delete cell[name];
+      }
+    }
+  }
+};
+
+// Cell under a world position, or null outside the grid
+export const fieldCell = (grid, cellSize, x, y) => {
+  const col = Math.floor(x / cellSize);
+  const row = Math.floor(y / cellSize);
+  if (row >= 0 && row < grid.length && col >= 0 && col < grid[0].length) {
+    return grid[row][col];
+  }
+  return null;
+};
+
+// Total of every channel over the whole grid
+export const fieldTotals = (grid, channels) => {
+  const totals = {};
+  for (let { name } of channels) {
+    totals[name] = 0;
+    for (let row of grid) {
+      for (let cell of row) totals[name] += cell[name];
+    }
+  }
+  return totals;
+};
+
+// One tick of mixing, decay and clamping, in place. diffusionScale(col, row)
+// multiplies every channel's diffusion rate in that cell, so the medium can
+// speed mixing up or slow it down, up to MAX_MIXING_RATE. Mixing moves gas
+// between pairs of neighbouring cells at the average of their rates, reading
+// the values from before the tick, so it never creates or destroys any; only
+// the decay, the clamp and an open boundary do.
+export const diffuseField = (grid, channels, boundary, diffusionScale) => {
+  const rows = grid.length;
+  const cols = rows > 0 ? grid[0].length : 0;
+  const stride = channels.length;
+  const values = new Float64Array(rows * cols * stride);
+  const scales = new Float64Array(rows * cols);
+  const flows = new Float64Array(stride);
+  const rate = (c, scale) => Math.min(MAX_MIXING_RATE, channels[c].diffusion * scale);
+
+  for (let y = 0; y < rows; y++) {
+    for (let x = 0; x < cols; x++) {
+      const index = y * cols + x;
+      scales[index] = diffusionScale(x, y);
+      channels.forEach(({ name }, c) => { values[index * stride + c] = grid[y][x][name]; });
+    }
+  }
+
+  for (let y = 0; y < rows; y++) {
+    for (let x = 0; x < cols; x++) {
+      const index = y * cols + x;
+      flows.fill(0);
+
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          if (dx === 0 && dy === 0) continue;
+          let ny = y + dy, nx = x + dx;
+          const inside = ny >= 0 && ny < rows && nx >= 0 && nx < cols;
+
+          if (!inside && boundary === 'closed') continue;
+          if (!inside && boundary === 'open') {
+            channels.forEach((channel, c) => {
+              flows[c] += (channel.baseline - values[index * stride + c]) * rate(c, scales[index]);
+            });
+          } else {
+            const neighbor = ((ny + rows) % rows) * cols + (nx + cols) % cols;
+            const scale = (scales[index] + scales[neighbor]) / 2;
+            for (let c = 0; c < stride; c++) {
+              flows[c] += (values[neighbor * stride + c] - values[index * stride + c]) * rate(c, scale);
+            }
+          }
+        }
+      }
+
+      const cell = grid[y][x];
+      channels.forEach(({ name, decay, baseline, max }, c) => {
+        const value = values[index * stride + c] + flows[c] / 8;
+        cell[name] = Math.max(0, Math.min(max, value + (baseline - value) * decay));
+      });
+    }
+  }
+};
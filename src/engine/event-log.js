@@ -0,0 +1,57 @@
+// Rolling record of the world's events, so a UI polling from another thread
+// can catch up on what happened since it last looked
+
+// Events of each type kept before that type's oldest are dropped, so a
+// frequent kind such as spawned blocks cannot push rare ones out of the log
+export const EVENT_LOG_CAPACITY = 500;
+
+// The latest `capacity` events of each type, in their original order
+export const latestOfEachType = (events, capacity = EVENT_LOG_CAPACITY) => {
+  const counts = {};
+  const kept = [];
+  for (let i = events.length - 1; i >= 0; i--) {
+    const { type } = events[i];
+    counts[type] = (counts[type] || 0) + 1;
+    if (counts[type] <= capacity) kept.push(events[i]);
+  }
+  return kept.reverse();
+};
+
+export class EventLog {
+  constructor(capacity = EVENT_LOG_CAPACITY) {
+    this.capacity = capacity;
+    this.epoch = 0;
+    this.clear();
+  }
+
+  // Start a new log. The epoch changes so readers polling with since() can
+  // tell the old one is gone.
+  clear() {
+    this.buffers = {};
+    this.nextSeq = 0;
+    this.epoch++;
+  }
+
+  // Events are numbered in the order they happen, whatever their type
+  record(event) {
+    if (!this.buffers[event.type]) {
+      this.buffers[event.type] = [];
+    }
+    const buffer = this.buffers[event.type];
+    buffer.push({ ...event, seq: this.nextSeq++ });
+    if (buffer.length > this.capacity) {
+      buffer.shift();
+    }
+  }
+
+  // Events numbered after seq, in order; since(-1) is the whole log
+  since(seq) {
+    const events = [];
+    for (let buffer of Object.values(this.buffers)) {
+      let i = buffer.length;
+      while (i > 0 && buffer[i - 1].seq > seq) i--;
+      for (; i < buffer.length; i++) events.push(buffer[i]);
+    }
+    return events.sort((a, b) => a.seq - b.seq);
+  }
+}
@@ -0,0 +1,71 @@
+// Lifecycle events from the world, for analysis scripts, loggers and UI
+// overlays that need to react when something happens rather than poll for
+// it. Every event is a plain object with its type, the tick it happened on
+// and where, plus fields of its own:
+//
+//   entityFormed        id, archetype             organism assembled from free blocks
+//   entityBorn          id, parentId, archetype   offspring of reproduction
+//   predation           predatorId, preyId, predatorArchetype, preyArchetype
+//   starved             id, archetype
+//   hibernationStarted  id, archetype
+//   hibernationEnded    id, archetype
+//   blockSpawned        blockType                 spontaneous free block
+//   speciesAppeared     archetype                 first organism of an archetype or variant this run
+//   extinction          archetype                 last one died, where it died
+//   scenarioStep        index, action, label      a scenario step fired, at its region or the world centre
+//
+// Listeners run synchronously in the middle of the tick, so they must not
+// change the world. One that throws is reported and skipped; the tick goes on.
+
+export const EVENT_TYPES = [
+  'entityFormed',
+  'entityBorn',
+  'predation',
+  'starved',
+  'hibernationStarted',
+  'hibernationEnded',
+  'blockSpawned',
+  'speciesAppeared',
+  'extinction',
+  'scenarioStep'
+];
+
+// Subscribing to this receives every event
+export const ALL_EVENTS = '*';
+
+export class EventBus {
+  constructor() {
+    this.listeners = new Map();
+  }
+
+  // Call listener(event) for each event of the type, or every event for
+  // ALL_EVENTS. Returns a function that unsubscribes.
+  subscribe(type, listener) {
+    if (type !== ALL_EVENTS && !EVENT_TYPES.includes(type)) {
+      throw new Error(`Unknown event type: ${type}`);
+    }
+    if (!this.listeners.has(type)) {
+      this.listeners.set(type, new Set());
+    }
+    this.listeners.get(type).add(listener);
+    return () => this.listeners.get(type).delete(listener);
+  }
+
+  // Whether anyone would receive an event of the type, so the world can
+  // skip building ones nobody hears
+  hasListeners(type) {
+    return this.listeners.get(type)?.size > 0 || this.listeners.get(ALL_EVENTS)?.size > 0;
+  }
+
+  emit(event) {
+    for (let key of [event.type, ALL_EVENTS]) {
+      for (let listener of this.listeners.get(key) || []) {
+        try {
+          listener(event);
+        } catch (error) {
+          console.warn(`Event listener for ${event.type} failed:`, error);
+        }
+      }
+    }
+  }
+}
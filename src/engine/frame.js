@@ -0,0 +1,123 @@
+// Compact typed-array encoding of everything the renderer needs from a World.
+// Frames are built in the simulation worker and transferred (not copied) to
+// the UI thread.
+
+// Free blocks: x, y, block type index
+export const BLOCK_STRIDE = 3;
+// Organisms: x, y, vx, vy, archetype index, energy, hibernating,
+// first cell block, cell block count, size. Their ids are in entityIds
+// instead, since a float loses whole numbers past 2^24.
+export const ENTITY_STRIDE = 10;
+// Blocks inside organisms: relX, relY, block type index
+export const CELL_BLOCK_STRIDE = 3;
+// Corpses: x, y, remaining block count
+export const CORPSE_STRIDE = 3;
+
+export const encodeFrame = (world) => {
+  const blockTypes = Object.keys(world.ruleset.blockTypes);
+  const archetypes = Object.keys(world.archetypes);
+  const blockTypeIndex = Object.fromEntries(blockTypes.map((type, i) => [type, i]));
+  const archetypeIndex = Object.fromEntries(archetypes.map((type, i) => [type, i]));
+
+  const freeBlocks = world.blocks.filter(b => b.free);
+  const blocks = new Float32Array(freeBlocks.length * BLOCK_STRIDE);
+  freeBlocks.forEach((block, i) => {
+    blocks[i * BLOCK_STRIDE + 0] = block.x;
+    blocks[i * BLOCK_STRIDE + 1] = block.y;
+    blocks[i * BLOCK_STRIDE + 2] = blockTypeIndex[block.type];
+  });
+
+  const entityCount = world.entities.length;
+  const cellBlockCount = world.entities.reduce((sum, e) => sum + e.cellBlocks.length, 0);
+  const entities = new Float32Array(entityCount * ENTITY_STRIDE);
+  const entityIds = new Uint32Array(entityCount);
+  const cellBlocks = new Float32Array(cellBlockCount * CELL_BLOCK_STRIDE);
+  let cellBlockOffset = 0;
+
+  world.entities.forEach((entity, i) => {
+    const base = i * ENTITY_STRIDE;
+    entities[base + 0] = entity.x;
+    entities[base + 1] = entity.y;
+    entities[base + 2] = entity.vx;
+    entities[base + 3] = entity.vy;
+    entities[base + 4] = archetypeIndex[entity.type];
+    entities[base + 5] = entity.energy;
+    entities[base + 6] = entity.hibernating ? 1 : 0;
+    entities[base + 7] = cellBlockOffset;
+    entities[base + 8] = entity.cellBlocks.length;
+    entities[base + 9] = entity.traits.size;
+    entityIds[i] = entity.id;
+
+    for (let block of entity.cellBlocks) {
+      cellBlocks[cellBlockOffset * CELL_BLOCK_STRIDE + 0] = block.relX;
+      cellBlocks[cellBlockOffset * CELL_BLOCK_STRIDE + 1] = block.relY;
+      cellBlocks[cellBlockOffset * CELL_BLOCK_STRIDE + 2] = blockTypeIndex[block.type];
+      cellBlockOffset++;
+    }
+  });
+
+  const corpses = new Float32Array(world.corpses.length * CORPSE_STRIDE);
+  world.corpses.forEach((corpse, i) => {
+    corpses[i * CORPSE_STRIDE + 0] = corpse.x;
+    corpses[i * CORPSE_STRIDE + 1] = corpse.y;
+    corpses[i * CORPSE_STRIDE + 2] = corpse.blocks.length;
+  });
+
+  // Chemical field cells: one value per channel, in the order of gasChannels
+  const gasChannels = world.params.channels.map(({ name, max }) => ({ name, max }));
+  const stride = gasChannels.length;
+  const rows = world.gasGrid.length;
+  const cols = rows > 0 ? world.gasGrid[0].length : 0;
+  const gas = new Float32Array(rows * cols * stride);
+  for (let y = 0; y < rows; y++) {
+    for (let x = 0; x < cols; x++) {
+      const cell = world.gasGrid[y][x];
+      gasChannels.forEach(({ name }, c) => {
+        gas[(y * cols + x) * stride + c] = cell[name];
+      });
+    }
+  }
+
+  return {
+    tick: world.tick,
+    light: world.currentLight(),
+    lightGradient: world.params.lightGradient,
+    width: world.params.width,
+    height: world.params.height,
+    blockTypes,
+    // Drawing info per block type index, since rulesets can be swapped
+    blockInfo: blockTypes.map(key => {
+      const { color, symbol } = world.ruleset.blockTypes[key];
+      return { color, symbol };
+    }),
+    archetypes,
+    // Drawing info per archetype index, since variants only exist in the worker
+    archetypeInfo: archetypes.map(key => {
+      const { name, color, shape } = world.archetypes[key];
+      return { name, color, shape };
+    }),
+    blocks,
+    entities,
+    entityIds,
+    cellBlocks,
+    corpses,
+    gas,
+    gasChannels,
+    gasCellSize: world.params.gridCellSize,
+    // One medium index per gas cell, or null for an open world
+    terrain: world.terrain ? world.terrain.slice() : null,
+    gasCols: cols,
+    gasRows: rows
+  };
+};
+
+// Buffers to hand to postMessage so the frame is transferred, not copied
+export const frameTransferables = (frame) => [
+  frame.blocks.buffer,
+  frame.entities.buffer,
+  frame.entityIds.buffer,
+  frame.cellBlocks.buffer,
+  frame.corpses.buffer,
+  frame.gas.buffer,
+  ...(frame.terrain ? [frame.terrain.buffer] : [])
+];
@@ -0,0 +1,164 @@
+// Heritable genome: an organism's building-block composition plus a few
+// mutable traits. Reproduction copies the genome with mutations, and
+// compositions that no longer match any archetype are classified as new,
+// named variants.
+
+import { checkCompatibility } from './ruleset.js';
+
+// Default detection radius for organisms whose archetype does not set one
+export const DEFAULT_SENSING_RANGE = 150;
+export const DEFAULT_REPRODUCTION_THRESHOLD = 75;
+
+// Chance per offspring of each kind of composition mutation
+const BLOCK_GAIN_RATE = 0.04;
+const BLOCK_LOSS_RATE = 0.04;
+const BLOCK_SWAP_RATE = 0.04;
+// Relative jitter applied to each trait per generation
+const TRAIT_JITTER = 0.05;
+
+export const traitsFromArchetype = (archetype) => ({
+  speed: archetype.speed,
+  size: archetype.size,
+  sensingRange: archetype.sensingRange ?? DEFAULT_SENSING_RANGE,
+  reproductionThreshold: archetype.reproductionThreshold ?? DEFAULT_REPRODUCTION_THRESHOLD
+});
+
+export const recipeToBlocks = (requires) =>
+  Object.entries(requires).flatMap(([type, amount]) => Array(amount).fill(type));
+
+export const countBlocks = (blockTypes) => {
+  const counts = {};
+  for (let type of blockTypes) {
+    counts[type] = (counts[type] || 0) + 1;
+  }
+  return counts;
+};
+
+// Stable identity of a composition, independent of block order
+export const compositionSignature = (blockTypes) =>
+  Object.entries(countBlocks(blockTypes))
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([type, count]) => `${type}:${count}`)
+    .join(',');
+
+const satisfies = (counts, requires) =>
+  Object.entries(requires).every(([type, amount]) => (counts[type] || 0) >= amount);
+
+const compositionDistance = (counts, requires) => {
+  let dist = 0;
+  for (let type of new Set([...Object.keys(counts), ...Object.keys(requires)])) {
+    dist += Math.abs((counts[type] || 0) - (requires[type] || 0));
+  }
+  return dist;
+};
+
+// Most specific archetype whose recipe the composition still satisfies, or
+// null when it has drifted away from all of them
+export const matchArchetype = (blockTypes, archetypes) => {
+  const counts = countBlocks(blockTypes);
+  let best = null, bestSize = -1;
+
+  for (let [key, archetype] of Object.entries(archetypes)) {
+    if (archetype.variantOf) continue;
+    const size = recipeToBlocks(archetype.requires).length;
+    if (size > bestSize && satisfies(counts, archetype.requires)) {
+      best = key;
+      bestSize = size;
+    }
+  }
+  return best;
+};
+
+// Archetype the composition is closest to, used as a variant's parent
+export const nearestArchetype = (blockTypes, archetypes) => {
+  const counts = countBlocks(blockTypes);
+  let best = null, bestDist = Infinity;
+
+  for (let [key, archetype] of Object.entries(archetypes)) {
+    if (archetype.variantOf) continue;
+    const dist = compositionDistance(counts, archetype.requires);
+    if (dist < bestDist) {
+      best = key;
+      bestDist = dist;
+    }
+  }
+  return best;
+};
+
+const shiftHue = (hex, degrees) => {
+  const value = parseInt(hex.slice(1, 7), 16);
+  let r = ((value >> 16) & 255) / 255, g = ((value >> 8) & 255) / 255, b = (value & 255) / 255;
+  const max = Math.max(r, g, b), min = Math.min(r, g, b);
+  const l = (max + min) / 2;
+  const d = max - min;
+  const s = d === 0 ? 0 : d / (1 - Math.abs(2 * l - 1));
+  let h = 0;
+  if (d !== 0) {
+    if (max === r) h = 60 * (((g - b) / d) % 6);
+    else if (max === g) h = 60 * ((b - r) / d + 2);
+    else h = 60 * ((r - g) / d + 4);
+  }
+  h = (h + degrees + 360) % 360;
+
+  const c = (1 - Math.abs(2 * l - 1)) * s;
+  const x = c * (1 - Math.abs(((h / 60) % 2) - 1));
+  const m = l - c / 2;
+  [r, g, b] = h < 60 ? [c, x, 0] : h < 120 ? [x, c, 0] : h < 180 ? [0, c, x]
+    : h < 240 ? [0, x, c] : h < 300 ? [x, 0, c] : [c, 0, x];
+  const toHex = (v) => Math.round((v + m) * 255).toString(16).padStart(2, '0');
+  return `#${toHex(r)}${toHex(g)}${toHex(b)}`;
+};
+
+// Archetype definition for a drifted composition. Display and default traits
+// come from the nearest archetype; the recipe is the composition itself.
+export const createVariant = (blockTypes, parentKey, parent, number) => ({
+  name: `${parent.name} v${number}`,
+  color: shiftHue(parent.color, ((number * 47) % 120) - 60),
+  requires: countBlocks(blockTypes),
+  shape: parent.shape,
+  size: parent.size,
+  speed: parent.speed,
+  metabolism: parent.metabolism,
+  starvationTime: parent.starvationTime,
+  variantOf: parentKey
+});
+
+const jitter = (value, random) => value * (1 - TRAIT_JITTER + random() * TRAIT_JITTER * 2);
+
+// Copy a parent's genome with mutations. Composition changes that would make
+// a compatible organism incompatible under the ruleset are discarded.
+export const mutateOffspring = (parent, random, ruleset) => {
+  const blockKeys = Object.keys(ruleset.blockTypes);
+  const parentBlocks = parent.cellBlocks.map(b => b.type);
+  let blockTypes = [...parentBlocks];
+
+  if (random() < BLOCK_GAIN_RATE) {
+    blockTypes.push(blockKeys[Math.floor(random() * blockKeys.length)]);
+  }
+  if (random() < BLOCK_LOSS_RATE && blockTypes.length > 1) {
+    blockTypes.splice(Math.floor(random() * blockTypes.length), 1);
+  }
+  if (random() < BLOCK_SWAP_RATE) {
+    blockTypes[Math.floor(random() * blockTypes.length)] = blockKeys[Math.floor(random() * blockKeys.length)];
+  }
+
+  const wasCompatible = checkCompatibility([...new Set(parentBlocks)], ruleset.compatibility);
+  if (wasCompatible && !checkCompatibility([...new Set(blockTypes)], ruleset.compatibility)) {
+    blockTypes = parentBlocks;
+  }
+
+  // Every block has upkeep, so metabolism follows the block count
+  const upkeep = blockTypes.length / parentBlocks.length;
+
+  return {
+    blockTypes,
+    traits: {
+      speed: jitter(parent.traits.speed, random),
+      size: jitter(parent.traits.size, random),
+      sensingRange: jitter(parent.traits.sensingRange, random),
+      reproductionThreshold: Math.min(95, jitter(parent.traits.reproductionThreshold, random))
+    },
+    starvationResistance: parent.starvationResistance + (random() - 0.5) * 20,
+    metabolismRate: parent.metabolismRate * (0.95 + random() * 0.1) * upkeep
+  };
+};
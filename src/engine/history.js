@@ -0,0 +1,108 @@
+// Rolling time series of population and environment measurements, sampled
+// every few ticks so a run can be charted and exported after the fact
+
+// Samples kept before the oldest are dropped
+export const HISTORY_CAPACITY = 2000;
+
+// Population and environment measurements for the world as it is now
+export const sampleWorld = (world) => {
+  const archetypes = {};
+  let hibernating = 0;
+
+  for (let e of world.entities) {
+    if (!archetypes[e.type]) {
+      archetypes[e.type] = { count: 0, avgEnergy: 0, avgMetabolism: 0 };
+    }
+    archetypes[e.type].count++;
+    archetypes[e.type].avgEnergy += e.energy;
+    archetypes[e.type].avgMetabolism += e.metabolismRate;
+    if (e.hibernating) hibernating++;
+  }
+  for (let type in archetypes) {
+    archetypes[type].avgEnergy /= archetypes[type].count;
+    archetypes[type].avgMetabolism /= archetypes[type].count;
+  }
+
+  let oxygen = 0, co2 = 0, cells = 0;
+  for (let row of world.gasGrid) {
+    for (let cell of row) {
+      oxygen += cell.oxygen;
+      co2 += cell.co2;
+      cells++;
+    }
+  }
+
+  return {
+    tick: world.tick,
+    light: world.currentLight(),
+    blocks: world.blocks.filter(b => b.free).length,
+    detritus: world.corpses.reduce((sum, corpse) => sum + corpse.blocks.length, 0),
+    hibernating,
+    oxygen: cells > 0 ? oxygen / cells : 0,
+    co2: cells > 0 ? co2 / cells : 0,
+    archetypes
+  };
+};
+
+export class History {
+  constructor(capacity = HISTORY_CAPACITY) {
+    this.capacity = capacity;
+    this.epoch = 0;
+    this.clear();
+  }
+
+  // Start a new series. The epoch changes so readers polling with since()
+  // can tell the old series is gone.
+  clear() {
+    this.samples = [];
+    this.epoch++;
+  }
+
+  record(sample) {
+    this.samples.push(sample);
+    if (this.samples.length > this.capacity) {
+      this.samples.shift();
+    }
+  }
+
+  // Samples taken after the given tick
+  since(tick) {
+    let i = this.samples.length;
+    while (i > 0 && this.samples[i - 1].tick > tick) i--;
+    return this.samples.slice(i);
+  }
+}
+
+// Archetype keys in the order they first appear
+export const historyArchetypes = (samples) => {
+  const keys = new Set();
+  for (let sample of samples) {
+    for (let key in sample.archetypes) keys.add(key);
+  }
+  return [...keys];
+};
+
+// One row per sample, with count, average energy and average metabolism
+// columns for every archetype seen anywhere in the series
+export const historyToCSV = (samples) => {
+  const keys = historyArchetypes(samples);
+  const header = ['tick', 'light', 'blocks', 'detritus', 'hibernating', 'oxygen', 'co2'];
+  for (let key of keys) {
+    header.push(`${key}_count`, `${key}_avgEnergy`, `${key}_avgMetabolism`);
+  }
+
+  const rows = samples.map(sample => {
+    const row = [sample.tick, sample.light.toFixed(3), sample.blocks, sample.detritus, sample.hibernating, sample.oxygen.toFixed(3), sample.co2.toFixed(3)];
+    for (let key of keys) {
+      const stats = sample.archetypes[key];
+      row.push(
+        stats ? stats.count : 0,
+        stats ? stats.avgEnergy.toFixed(3) : '',
+        stats ? stats.avgMetabolism.toFixed(5) : ''
+      );
+    }
+    return row.join(',');
+  });
+
+  return [header.join(','), ...rows].join('\n') + '\n';
+};
@@ -0,0 +1,129 @@
+// Conservation ledger: what the world holds (blocks of each type, whether
+// free, part of or eaten by organisms, or in corpses; the total of each chemical channel;
+// the energy of every organism) and the processes that changed it. Each
+// tick the world reports its flows here and the ledger measures the totals
+// again; any change the flows do not explain is booked as unaccounted, so a
+// leak shows up at once.
+
+// Every process that moves a total, in display order
+export const LEDGER_PROCESSES = [
+  'spawn',
+  'formation',
+  'reproduction',
+  'predation',
+  'grazing',
+  'starvation',
+  'decomposition',
+  'photosynthesis',
+  'respiration',
+  'equilibration',
+  'intervention'
+];
+
+// Exchanges with the world outside: spontaneous blocks, and the pull of the
+// chemical field towards its baselines. The closedSystem param turns them off.
+export const EXTERNAL_PROCESSES = ['spawn', 'equilibration'];
+
+const emptyAmounts = () => ({ blocks: {}, gas: {}, energy: 0 });
+
+const addInto = (target, amounts, sign = 1) => {
+  for (let kind of ['blocks', 'gas']) {
+    for (let key in amounts[kind]) {
+      target[kind][key] = (target[kind][key] || 0) + amounts[kind][key] * sign;
+    }
+  }
+  target.energy += amounts.energy * sign;
+  return target;
+};
+
+const difference = (after, before) => addInto(addInto(emptyAmounts(), after), before, -1);
+
+// Everything the world holds right now
+export const measureWorld = (world) => {
+  const totals = emptyAmounts();
+  const count = (type) => {
+    totals.blocks[type] = (totals.blocks[type] || 0) + 1;
+  };
+
+  for (let block of world.blocks) count(block.type);
+  for (let entity of world.entities) {
+    totals.energy += entity.energy;
+    for (let block of entity.cellBlocks) count(block.type);
+    for (let type of entity.eaten) count(type);
+  }
+  for (let corpse of world.corpses) {
+    for (let type of corpse.blocks) count(type);
+  }
+  for (let { name } of world.params.channels) {
+    totals.gas[name] = 0;
+    for (let row of world.gasGrid) {
+      for (let cell of row) totals.gas[name] += cell[name];
+    }
+  }
+  return totals;
+};
+
+export class Ledger {
+  // Start the books again from the world as it is now
+  restart(world) {
+    this.startTick = world.tick;
+    this.start = measureWorld(world);
+    this.totals = this.start;
+    // Flows reported since the last close, by process
+    this.pending = {};
+    this.last = { tick: world.tick, flows: {}, unaccounted: emptyAmounts() };
+    this.cumulative = { flows: {}, unaccounted: emptyAmounts() };
+  }
+
+  flow(process) {
+    if (!this.pending[process]) {
+      this.pending[process] = emptyAmounts();
+    }
+    return this.pending[process];
+  }
+
+  energy(process, amount) {
+    this.flow(process).energy += amount;
+  }
+
+  gas(process, name, amount) {
+    const gas = this.flow(process).gas;
+    gas[name] = (gas[name] || 0) + amount;
+  }
+
+  blocks(process, type, count) {
+    const blocks = this.flow(process).blocks;
+    blocks[type] = (blocks[type] || 0) + count;
+  }
+
+  // Measure the world at the end of a tick and balance it against the
+  // flows reported during it
+  close(world) {
+    const totals = measureWorld(world);
+    const unaccounted = difference(totals, this.totals);
+    for (let process in this.pending) {
+      addInto(unaccounted, this.pending[process], -1);
+      if (!this.cumulative.flows[process]) {
+        this.cumulative.flows[process] = emptyAmounts();
+      }
+      addInto(this.cumulative.flows[process], this.pending[process]);
+    }
+    addInto(this.cumulative.unaccounted, unaccounted);
+
+    this.last = { tick: world.tick, flows: this.pending, unaccounted };
+    this.totals = totals;
+    this.pending = {};
+  }
+
+  // Plain-data view of the books for display or export
+  report() {
+    return {
+      startTick: this.startTick,
+      tick: this.last.tick,
+      start: this.start,
+      totals: this.totals,
+      last: this.last,
+      cumulative: this.cumulative
+    };
+  }
+}
@@ -0,0 +1,15 @@
+// Global daylight and its spatial falloff. Light drives photosynthesis and
+// how far photoreceptors can see.
+
+// Share of surface light left at the bottom edge under the depth gradient
+export const DEPTH_LIGHT_FLOOR = 0.2;
+
+// Daylight in [0, 1] at a tick. Each day starts at dawn; a dayLength of 0
+// turns the cycle off and keeps full light.
+export const daylight = (tick, dayLength) =>
+  dayLength > 0 ? 0.5 + 0.5 * Math.sin((2 * Math.PI * tick) / dayLength) : 1;
+
+// Fraction of the daylight that reaches height y. The depth gradient treats
+// the top edge as the surface.
+export const lightFalloff = (y, height, gradient) =>
+  gradient === 'depth' ? 1 - (1 - DEPTH_LIGHT_FLOOR) * Math.min(1, Math.max(0, y / height)) : 1;
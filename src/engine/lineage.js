@@ -0,0 +1,141 @@
+// Family records for every organism. Each organism formed from free blocks
+// founds a lineage; offspring join their parent's. Surviving lineages keep a
+// record for each living member and the ancestors linking it to the founder,
+// so their family tree can be drawn; dead branches with no living
+// descendants are dropped. Extinct lineages shrink to a summary of when they
+// were founded and when they died out.
+
+// Extinct lineage summaries kept before the oldest are dropped
+const EXTINCT_LINEAGE_LIMIT = 100;
+
+export class Lineage {
+  constructor() {
+    this.clear();
+  }
+
+  clear() {
+    // Organism id -> record, for members of surviving lineages
+    this.records = new Map();
+    // Organism id -> number of its children that still have records
+    this.children = new Map();
+    // Founder id -> summary, with the ids of the members that have records
+    this.lineages = new Map();
+    this.extinct = [];
+  }
+
+  born(entity, tick) {
+    const parent = entity.parentId === null ? null : this.records.get(entity.parentId);
+    const founderId = parent ? parent.founderId : entity.id;
+    if (parent) {
+      this.children.set(parent.id, (this.children.get(parent.id) || 0) + 1);
+    }
+
+    this.records.set(entity.id, {
+      id: entity.id,
+      parentId: parent ? entity.parentId : null,
+      founderId,
+      generation: entity.generation,
+      type: entity.type,
+      birthTick: tick,
+      deathTick: null,
+      metabolismRate: entity.metabolismRate,
+      starvationResistance: entity.starvationResistance
+    });
+
+    let lineage = this.lineages.get(founderId);
+    if (!lineage) {
+      lineage = {
+        founderId,
+        type: entity.type,
+        foundedTick: tick,
+        x: entity.x,
+        y: entity.y,
+        living: 0,
+        total: 0,
+        maxGeneration: 0,
+        extinctTick: null,
+        members: new Set()
+      };
+      this.lineages.set(founderId, lineage);
+    }
+    lineage.living++;
+    lineage.total++;
+    lineage.maxGeneration = Math.max(lineage.maxGeneration, entity.generation);
+    lineage.members.add(entity.id);
+  }
+
+  // Drop the record of a dead organism with no descendants left, then do the
+  // same for its ancestors that this leaves childless
+  prune(record, lineage) {
+    while (record && record.deathTick !== null && !this.children.get(record.id)) {
+      this.records.delete(record.id);
+      this.children.delete(record.id);
+      lineage.members.delete(record.id);
+      if (record.parentId === null) return;
+      this.children.set(record.parentId, this.children.get(record.parentId) - 1);
+      record = this.records.get(record.parentId);
+    }
+  }
+
+  died(entity, tick) {
+    const record = this.records.get(entity.id);
+    if (!record || record.deathTick !== null) return;
+    record.deathTick = tick;
+
+    const lineage = this.lineages.get(record.founderId);
+    if (--lineage.living > 0) {
+      this.prune(record, lineage);
+      return;
+    }
+
+    // Last member gone: keep only the summary
+    for (let id of lineage.members) {
+      this.records.delete(id);
+      this.children.delete(id);
+    }
+    this.lineages.delete(lineage.founderId);
+    const { members, ...summary } = lineage;
+    this.extinct.push({ ...summary, extinctTick: tick });
+    if (this.extinct.length > EXTINCT_LINEAGE_LIMIT) {
+      this.extinct.shift();
+    }
+  }
+
+  // Surviving lineages oldest first, then extinct ones most recent first
+  summaries() {
+    const surviving = [...this.lineages.values()]
+      .map(({ members, ...summary }) => summary)
+      .sort((a, b) => a.foundedTick - b.foundedTick);
+    return [...surviving, ...[...this.extinct].reverse()];
+  }
+
+  // The member records of a surviving lineage, or [] once it is extinct
+  tree(founderId) {
+    const lineage = this.lineages.get(founderId);
+    if (!lineage) return [];
+    return [...lineage.members].map(id => ({ ...this.records.get(id) }));
+  }
+
+  toJSON() {
+    return {
+      records: [...this.records.values()].map(record => ({ ...record })),
+      lineages: [...this.lineages.values()].map(lineage => ({ ...lineage, members: [...lineage.members] })),
+      extinct: this.extinct.map(summary => ({ ...summary }))
+    };
+  }
+
+  static fromJSON(data) {
+    const lineage = new Lineage();
+    for (let record of data.records) {
+      lineage.records.set(record.id, { ...record });
+      if (record.parentId !== null) {
+        lineage.children.set(record.parentId, (lineage.children.get(record.parentId) || 0) + 1);
+      }
+    }
+    for (let summary of data.lineages) {
+      lineage.lineages.set(summary.founderId, { ...summary, members: new Set(summary.members) });
+    }
+    lineage.extinct = data.extinct.map(summary => ({ ...summary }));
+    return lineage;
+  }
+}
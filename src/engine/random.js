@@ -0,0 +1,23 @@
+// Seedable pseudo-random number generation for reproducible runs
+
+export const MAX_SEED = 0xffffffff;
+
+// Mulberry32: small, fast 32-bit generator. Returns a function with the same
+// contract as Math.random (uniform floats in [0, 1)). Its whole state is one
+// 32-bit integer, so createRandom(random.getState()) continues the stream
+// exactly where it left off.
+export const createRandom = (seed) => {
+  let state = seed >>> 0;
+  const random = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  random.getState = () => state;
+  return random;
+};
+
+// Fresh seed for runs the user has not seeded explicitly
+export const randomSeed = () => Math.floor(Math.random() * MAX_SEED);
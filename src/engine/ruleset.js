@@ -0,0 +1,280 @@
+// Rulesets: the building block types, the compatibility chart between them
+// and the organism archetypes assembled from them. They are plain JSON so
+// alternative chemistries can be bundled or loaded from a file, and are
+// validated before a World will use them.
+
+// Behaviour the engine attaches to a block. Blocks are free to have any key;
+// what they do comes from their function.
+export const BLOCK_FUNCTIONS = [
+  'energy_source',
+  'structure',
+  'movement',
+  'vision',
+  'sensing',
+  'eat_vegetation',
+  'eat_meat',
+  'breathe_air',
+  'breathe_water',
+  'produce_oxygen',
+  'produce_co2',
+  'decompose'
+];
+
+export const ARCHETYPE_SHAPES = ['capsule', 'rounded_rect', 'rounded_triangle', 'sharp_triangle'];
+
+// Stats are reported with archetype counts spread beside these totals, so an
+// archetype may not use one of their keys
+const RESERVED_ARCHETYPE_KEYS = [
+  'blocks', 'hibernating', 'totalOrganisms', 'avgEnergy', 'avgAge', 'typeStats', 'tick', 'light', 'detritus', 'archetypes'
+];
+
+const HEX_COLOR = /^#[0-9a-fA-F]{6}$/;
+
+// Food web settings used where a ruleset leaves them out. Prey may be at
+// most maxSizeRatio times the predator's size, and each attack succeeds
+// with captureChance, less against bigger prey.
+export const DEFAULT_PREDATION = {
+  cannibalism: false,
+  maxSizeRatio: 1,
+  captureChance: 0.75
+};
+
+// First pair of block types that neither lists as compatible, or null
+export const findIncompatiblePair = (blockTypes, compatibility) => {
+  for (let i = 0; i < blockTypes.length; i++) {
+    for (let j = i + 1; j < blockTypes.length; j++) {
+      const type1 = blockTypes[i];
+      const type2 = blockTypes[j];
+
+      const compat1 = compatibility[type1] || [];
+      const compat2 = compatibility[type2] || [];
+
+      if (!compat1.includes(type2) && !compat2.includes(type1)) {
+        return [type1, type2];
+      }
+    }
+  }
+  return null;
+};
+
+// Check if all blocks are compatible with each other
+export const checkCompatibility = (blockTypes, compatibility) =>
+  findIncompatiblePair(blockTypes, compatibility) === null;
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+const validateBlockTypes = (blockTypes, errors) => {
+  if (!isObject(blockTypes) || Object.keys(blockTypes).length === 0) {
+    errors.push('"blockTypes" must be an object with at least one block type');
+    return;
+  }
+  for (let [key, block] of Object.entries(blockTypes)) {
+    if (!isObject(block)) {
+      errors.push(`Block type ${key} must be an object`);
+      continue;
+    }
+    if (typeof block.color !== 'string' || !HEX_COLOR.test(block.color)) {
+      errors.push(`Block type ${key} needs a #rrggbb color`);
+    }
+    if (typeof block.symbol !== 'string' || block.symbol.length === 0) {
+      errors.push(`Block type ${key} needs a symbol`);
+    }
+    if (!BLOCK_FUNCTIONS.includes(block.function)) {
+      errors.push(`Block type ${key} has unknown function "${block.function}"`);
+    }
+  }
+};
+
+const validateCompatibility = (compatibility, blockKeys, errors) => {
+  if (!isObject(compatibility)) {
+    errors.push('"compatibility" must be an object');
+    return;
+  }
+  for (let [key, partners] of Object.entries(compatibility)) {
+    if (!blockKeys.includes(key)) {
+      errors.push(`Compatibility chart refers to unknown block type ${key}`);
+    }
+    if (!Array.isArray(partners)) {
+      errors.push(`Compatibility of ${key} must be a list of block types`);
+      continue;
+    }
+    for (let partner of partners) {
+      if (!blockKeys.includes(partner)) {
+        errors.push(`Compatibility of ${key} refers to unknown block type ${partner}`);
+      }
+    }
+  }
+};
+
+const hasMeatEater = (archetype, blockTypes) =>
+  Object.keys(archetype.requires || {}).some(type => blockTypes[type]?.function === 'eat_meat');
+
+const validatePredation = (predation, ruleset, errors, warnings) => {
+  if (!isObject(predation)) {
+    errors.push('"predation" must be an object');
+    return;
+  }
+  if (predation.cannibalism !== undefined && typeof predation.cannibalism !== 'boolean') {
+    errors.push('Predation "cannibalism" must be true or false');
+  }
+  if (predation.maxSizeRatio !== undefined && (!isNumber(predation.maxSizeRatio) || predation.maxSizeRatio <= 0)) {
+    errors.push('Predation "maxSizeRatio" must be a positive number');
+  }
+  if (predation.captureChance !== undefined &&
+      (!isNumber(predation.captureChance) || predation.captureChance <= 0 || predation.captureChance > 1)) {
+    errors.push('Predation "captureChance" must be above 0 and at most 1');
+  }
+  if (!isObject(predation.diet)) {
+    errors.push('Predation "diet" must map predator archetypes to lists of prey');
+    return;
+  }
+
+  const archetypes = isObject(ruleset.archetypes) ? ruleset.archetypes : {};
+  const blockTypes = isObject(ruleset.blockTypes) ? ruleset.blockTypes : {};
+  for (let [predator, prey] of Object.entries(predation.diet)) {
+    if (!archetypes[predator]) {
+      errors.push(`Diet refers to unknown archetype ${predator}`);
+      continue;
+    }
+    if (!Array.isArray(prey)) {
+      errors.push(`Diet of ${predator} must be a list of archetypes`);
+      continue;
+    }
+    for (let key of prey) {
+      if (key === predator) {
+        errors.push(`Diet of ${predator} lists itself; use "cannibalism" instead`);
+      } else if (!archetypes[key]) {
+        errors.push(`Diet of ${predator} refers to unknown archetype ${key}`);
+      }
+    }
+    if (prey.length > 0 && isObject(archetypes[predator]) && !hasMeatEater(archetypes[predator], blockTypes)) {
+      warnings.push(`${archetypes[predator].name || predator} has prey but no eat_meat block, so it never hunts`);
+    }
+  }
+};
+
+// Food web for rulesets without one: every archetype with a meat-eating
+// block hunts every other archetype
+const defaultDiet = (blockTypes, archetypes) => {
+  const diet = {};
+  for (let [key, archetype] of Object.entries(archetypes)) {
+    if (hasMeatEater(archetype, blockTypes)) {
+      diet[key] = Object.keys(archetypes).filter(other => other !== key);
+    }
+  }
+  return diet;
+};
+
+const validateArchetype = (key, archetype, blockKeys, compatibility, errors, warnings) => {
+  if (!isObject(archetype)) {
+    errors.push(`Archetype ${key} must be an object`);
+    return;
+  }
+  if (RESERVED_ARCHETYPE_KEYS.includes(key)) {
+    errors.push(`Archetype key ${key} is reserved`);
+  }
+  if (typeof archetype.name !== 'string' || archetype.name.length === 0) {
+    errors.push(`Archetype ${key} needs a name`);
+  }
+  if (typeof archetype.color !== 'string' || !HEX_COLOR.test(archetype.color)) {
+    errors.push(`Archetype ${key} needs a #rrggbb color`);
+  }
+  if (archetype.shape === undefined) {
+    errors.push(`Archetype ${key} has no shape`);
+  } else if (!ARCHETYPE_SHAPES.includes(archetype.shape)) {
+    errors.push(`Archetype ${key} has unknown shape "${archetype.shape}"`);
+  }
+
+  for (let field of ['size', 'starvationTime']) {
+    if (!isNumber(archetype[field]) || archetype[field] <= 0) {
+      errors.push(`Archetype ${key} needs a positive ${field}`);
+    }
+  }
+  for (let field of ['speed', 'metabolism']) {
+    if (!isNumber(archetype[field]) || archetype[field] < 0) {
+      errors.push(`Archetype ${key} needs a non-negative ${field}`);
+    }
+  }
+  for (let field of ['sensingRange', 'reproductionThreshold']) {
+    if (archetype[field] !== undefined && (!isNumber(archetype[field]) || archetype[field] <= 0)) {
+      errors.push(`Archetype ${key} has an invalid ${field}`);
+    }
+  }
+
+  const requires = archetype.requires;
+  if (!isObject(requires) || Object.keys(requires).length === 0) {
+    errors.push(`Archetype ${key} must require at least one block type`);
+    return;
+  }
+  let recipeValid = true;
+  for (let [blockType, amount] of Object.entries(requires)) {
+    if (!blockKeys.includes(blockType)) {
+      errors.push(`Archetype ${key} requires unknown block type ${blockType}`);
+      recipeValid = false;
+    }
+    if (!Number.isInteger(amount) || amount <= 0) {
+      errors.push(`Archetype ${key} requires a non-positive or fractional amount of ${blockType}`);
+      recipeValid = false;
+    }
+  }
+
+  // Loadable, but free blocks will never assemble into it
+  const pair = recipeValid && isObject(compatibility)
+    ? findIncompatiblePair(Object.keys(requires), compatibility)
+    : null;
+  if (pair) {
+    warnings.push(`${archetype.name || key} can never form: ${pair[0]} and ${pair[1]} are incompatible`);
+  }
+};
+
+// Errors make a ruleset unusable; warnings flag archetypes that load but can
+// never assemble from free blocks
+export const validateRuleset = (ruleset) => {
+  const errors = [];
+  const warnings = [];
+
+  if (!isObject(ruleset)) {
+    return { errors: ['Ruleset is not an object'], warnings };
+  }
+  if (typeof ruleset.name !== 'string' || ruleset.name.length === 0) {
+    errors.push('Ruleset needs a name');
+  }
+
+  validateBlockTypes(ruleset.blockTypes, errors);
+  const blockKeys = isObject(ruleset.blockTypes) ? Object.keys(ruleset.blockTypes) : [];
+  validateCompatibility(ruleset.compatibility, blockKeys, errors);
+
+  if (!isObject(ruleset.archetypes) || Object.keys(ruleset.archetypes).length === 0) {
+    errors.push('"archetypes" must be an object with at least one archetype');
+  } else {
+    for (let [key, archetype] of Object.entries(ruleset.archetypes)) {
+      validateArchetype(key, archetype, blockKeys, ruleset.compatibility, errors, warnings);
+    }
+  }
+
+  if (ruleset.predation !== undefined) {
+    validatePredation(ruleset.predation, ruleset, errors, warnings);
+  }
+
+  return { errors, warnings };
+};
+
+// Validated private copy of a ruleset, safe to hand to a World. Throws with
+// every problem found if the ruleset is unusable.
+export const loadRuleset = (data) => {
+  const { errors } = validateRuleset(data);
+  if (errors.length > 0) {
+    throw new Error(`Invalid ruleset: ${errors.join('; ')}`);
+  }
+
+  const { name, description = '', blockTypes, compatibility, archetypes, predation } = JSON.parse(JSON.stringify(data));
+  return {
+    name,
+    description,
+    blockTypes,
+    compatibility,
+    archetypes,
+    predation: { ...DEFAULT_PREDATION, diet: defaultDiet(blockTypes, archetypes), ...predation }
+  };
+};
@@ -0,0 +1,201 @@
+// Scenarios: timed interventions in a small declarative JSON format, so a
+// disturbance and recovery experiment can be rerun exactly. A scenario is
+// the world's `scenario` param; its steps fire at the start of the ticks they
+// name and draw from the world's random stream like everything else, so the
+// same seed, params and scenario always replay the same run.
+//
+//   {
+//     "name": "Predator crash",
+//     "steps": [
+//       { "at": 5000, "action": "cull", "archetype": "APEX_PREDATOR", "fraction": 0.8 },
+//       { "at": 10000, "action": "setBaseline", "channel": "oxygen", "scale": 0.5 },
+//       { "at": 2000, "every": 2000, "action": "bloom", "blockType": "NUTRIENT", "count": 200,
+//         "region": { "x": 0, "y": 0, "width": 200, "height": 150 } }
+//     ]
+//   }
+//
+// A step fires at tick `at`, then every `every` ticks if given, up to and
+// including `until` if given.
+//   cull         kills `fraction` of the living members of an archetype and
+//                its variants, picked at random; they leave corpses
+//   setBaseline  holds a chemical channel's baseline at `value`, or at
+//                `scale` times its configured baseline, until another
+//                setBaseline step for the channel fires
+//   bloom        scatters `count` free blocks of a type over `region`, or
+//                over the whole world without one
+// Steps naming an archetype, block type or channel the world no longer has
+// do nothing.
+
+export const SCENARIO_ACTIONS = ['cull', 'setBaseline', 'bloom'];
+
+// Most firings of one repeating step listed for the stats timeline, so a
+// fast-repeating step cannot crowd out the others. Beyond this the firings
+// are thinned evenly across the window.
+const MAX_MARKERS_PER_STEP = 200;
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isTick = (value) => Number.isInteger(value) && value >= 0;
+
+const validateStep = (step, index, ruleset, channels, errors) => {
+  const where = `Step ${index + 1}`;
+  if (!isObject(step)) {
+    errors.push(`${where} must be an object`);
+    return;
+  }
+  if (!isTick(step.at)) {
+    errors.push(`${where} needs a whole, non-negative "at" tick`);
+  }
+  if (step.every !== undefined && (!Number.isInteger(step.every) || step.every <= 0)) {
+    errors.push(`${where} has an invalid "every"; use a whole number of ticks above 0`);
+  }
+  if (step.until !== undefined && (!isTick(step.until) || step.until < step.at)) {
+    errors.push(`${where} has an "until" before its "at"`);
+  }
+
+  switch (step.action) {
+    case 'cull':
+      if (!ruleset.archetypes[step.archetype]) {
+        errors.push(`${where} culls unknown archetype ${step.archetype}`);
+      }
+      if (!isNumber(step.fraction) || step.fraction <= 0 || step.fraction > 1) {
+        errors.push(`${where} needs a "fraction" above 0 and at most 1`);
+      }
+      break;
+    case 'setBaseline': {
+      const channel = channels.find(c => c.name === step.channel);
+      if (!channel) {
+        errors.push(`${where} sets the baseline of unknown channel ${step.channel}`);
+      }
+      if ((step.value === undefined) === (step.scale === undefined)) {
+        errors.push(`${where} needs either a "value" or a "scale"`);
+      } else if (step.value !== undefined && (!isNumber(step.value) || step.value < 0 || (channel && step.value > channel.max))) {
+        errors.push(`${where} needs a "value" between 0 and the channel's max`);
+      } else if (step.scale !== undefined && (!isNumber(step.scale) || step.scale < 0)) {
+        errors.push(`${where} needs a non-negative "scale"`);
+      }
+      break;
+    }
+    case 'bloom': {
+      if (!ruleset.blockTypes[step.blockType]) {
+        errors.push(`${where} blooms unknown block type ${step.blockType}`);
+      }
+      if (!Number.isInteger(step.count) || step.count <= 0) {
+        errors.push(`${where} needs a whole, positive "count"`);
+      }
+      const region = step.region;
+      if (region !== undefined && (!isObject(region) ||
+          !['x', 'y', 'width', 'height'].every(key => isNumber(region[key])) ||
+          region.width <= 0 || region.height <= 0)) {
+        errors.push(`${where} needs a "region" with x, y and a positive width and height`);
+      }
+      break;
+    }
+    default:
+      errors.push(`${where} has unknown action "${step.action}"`);
+  }
+};
+
+// Throws with every problem found if the scenario is unusable in a world
+// with this ruleset and these chemical channels
+export const validateScenario = (scenario, ruleset, channels) => {
+  const errors = [];
+  if (!isObject(scenario)) {
+    errors.push('Scenario is not an object');
+  } else {
+    if (scenario.name !== undefined && typeof scenario.name !== 'string') {
+      errors.push('Scenario "name" must be text');
+    }
+    if (!Array.isArray(scenario.steps) || scenario.steps.length === 0) {
+      errors.push('Scenario needs a list of "steps"');
+    } else {
+      scenario.steps.forEach((step, i) => validateStep(step, i, ruleset, channels, errors));
+    }
+  }
+  if (errors.length > 0) {
+    throw new Error(`Invalid scenario: ${errors.join('; ')}`);
+  }
+};
+
+export const firesAt = (step, tick) => {
+  if (tick < step.at || (step.until !== undefined && tick > step.until)) return false;
+  return step.every ? (tick - step.at) % step.every === 0 : tick === step.at;
+};
+
+// Most recent tick at or before this one when the step fired, or -1
+const lastFiring = (step, tick) => {
+  const end = step.until !== undefined ? Math.min(tick, step.until) : tick;
+  if (end < step.at) return -1;
+  return step.every ? step.at + Math.floor((end - step.at) / step.every) * step.every : step.at;
+};
+
+// Channels with the baselines the scenario holds them at by this tick. The
+// step that fired last wins, the later in the list on the same tick.
+export const scenarioChannels = (scenario, channels, tick) => {
+  if (!scenario) return channels;
+  const latest = {};
+  for (let step of scenario.steps) {
+    if (step.action !== 'setBaseline') continue;
+    const fired = lastFiring(step, tick);
+    if (fired >= 0 && fired >= (latest[step.channel]?.fired ?? -1)) {
+      latest[step.channel] = { fired, step };
+    }
+  }
+  if (Object.keys(latest).length === 0) return channels;
+
+  return channels.map(channel => {
+    const step = latest[channel.name]?.step;
+    if (!step) return channel;
+    const baseline = step.value !== undefined ? step.value : channel.baseline * step.scale;
+    return { ...channel, baseline: Math.max(0, Math.min(channel.max, baseline)) };
+  });
+};
+
+// One-line summary of a step's action
+export const describeStep = (step) => {
+  switch (step.action) {
+    case 'cull':
+      return `Cull ${Math.round(step.fraction * 100)}% of ${step.archetype}`;
+    case 'setBaseline':
+      return step.value !== undefined
+        ? `${step.channel} baseline to ${step.value}`
+        : `${step.channel} baseline ×${step.scale}`;
+    case 'bloom': {
+      const { region } = step;
+      const where = region ? ` in (${region.x}, ${region.y}) ${region.width}×${region.height}` : '';
+      return `Bloom of ${step.count} ${step.blockType}${where}`;
+    }
+    default:
+      return step.action;
+  }
+};
+
+// When the step fires, in words
+export const describeTiming = (step) => {
+  if (!step.every) return `at t${step.at}`;
+  return `every ${step.every} from t${step.at}${step.until !== undefined ? ` to t${step.until}` : ''}`;
+};
+
+// Firings between two ticks, inclusive, as { tick, label } in tick order
+export const scenarioMarkers = (scenario, fromTick, toTick) => {
+  const markers = [];
+  if (!scenario) return markers;
+  for (let step of scenario.steps) {
+    const label = describeStep(step);
+    const last = lastFiring(step, toTick);
+    if (last < fromTick) continue;
+    if (!step.every) {
+      markers.push({ tick: last, label });
+      continue;
+    }
+    const first = fromTick > step.at
+      ? step.at + Math.ceil((fromTick - step.at) / step.every) * step.every
+      : step.at;
+    const firings = (last - first) / step.every + 1;
+    const stride = Math.ceil(firings / MAX_MARKERS_PER_STEP) * step.every;
+    for (let tick = first; tick <= last; tick += stride) {
+      markers.push({ tick, label });
+    }
+  }
+  return markers.sort((a, b) => a.tick - b.tick);
+};
@@ -0,0 +1,135 @@
+// Versioned JSON snapshots of a complete World, so a run can be saved to a
+// file and resumed exactly where it left off
+
+import { createRandom } from './random.js';
+import { loadRuleset } from './ruleset.js';
+import { sampleWorld } from './history.js';
+import { Lineage } from './lineage.js';
+import { validateChannels, validateBoundary } from './chemical-field.js';
+import { validateScenario } from './scenario.js';
+
+export const SNAPSHOT_VERSION = 1;
+
+// Plain-data copy of the world. `view` carries whatever UI state the caller
+// wants restored alongside it (camera, panel parameters).
+export const createSnapshot = (world, view = {}) => ({
+  version: SNAPSHOT_VERSION,
+  tick: world.tick,
+  params: { ...world.params },
+  randomState: world.random.getState(),
+  ruleset: world.ruleset,
+  // Evolved variants only; built-in archetypes come from the ruleset
+  variants: Object.fromEntries(
+    Object.entries(world.archetypes).filter(([, archetype]) => archetype.variantOf)
+  ),
+  variantSignatures: { ...world.variants },
+  variantCount: world.variantCount,
+  nextId: world.nextId,
+  lineage: world.lineage.toJSON(),
+  // Archetypes that have lived this run, so a comeback is not a first appearance
+  appeared: [...world.appeared],
+  // The archetype object is shared definition data and is re-linked on load
+  entities: world.entities.map(({ archetype, ...entity }) => ({
+    ...entity,
+    traits: { ...entity.traits },
+    cellBlocks: entity.cellBlocks.map(b => ({ ...b })),
+    eaten: [...entity.eaten]
+  })),
+  blocks: world.blocks.map(b => ({ ...b })),
+  corpses: world.corpses.map(corpse => ({ ...corpse, blocks: [...corpse.blocks] })),
+  gasGrid: world.gasGrid.map(row => row.map(cell => ({ ...cell }))),
+  terrain: world.terrain ? Array.from(world.terrain) : null,
+  view
+});
+
+const validateSnapshot = (snapshot) => {
+  if (!snapshot || typeof snapshot !== 'object') {
+    throw new Error('Snapshot is not an object');
+  }
+  if (snapshot.version !== SNAPSHOT_VERSION) {
+    throw new Error(`Unsupported snapshot version: ${snapshot.version} (expected ${SNAPSHOT_VERSION})`);
+  }
+  for (let key of ['params', 'ruleset', 'entities', 'blocks', 'corpses', 'gasGrid', 'lineage']) {
+    if (!snapshot[key]) {
+      throw new Error(`Snapshot is missing "${key}"`);
+    }
+  }
+  const ruleset = loadRuleset(snapshot.ruleset);
+  const archetypes = { ...ruleset.archetypes, ...snapshot.variants };
+  for (let entity of snapshot.entities) {
+    if (!archetypes[entity.type]) {
+      throw new Error(`Snapshot contains unknown archetype: ${entity.type}`);
+    }
+    if (!Array.isArray(entity.cellBlocks)) {
+      throw new Error(`Snapshot organism ${entity.id ?? entity.type} has no "cellBlocks"`);
+    }
+  }
+  const { channels, boundary, scenario } = snapshot.params;
+  validateChannels(channels);
+  validateBoundary(boundary);
+  if (scenario) {
+    validateScenario(scenario, ruleset, channels);
+  }
+  for (let row of snapshot.gasGrid) {
+    for (let cell of row) {
+      for (let { name } of channels) {
+        if (typeof cell[name] !== 'number') {
+          throw new Error(`Snapshot gas cell is missing channel ${name}`);
+        }
+      }
+    }
+  }
+  const cells = snapshot.gasGrid.length * (snapshot.gasGrid[0]?.length || 0);
+  if (snapshot.terrain && snapshot.terrain.length !== cells) {
+    throw new Error(`Snapshot terrain has ${snapshot.terrain.length} cells, expected ${cells}`);
+  }
+  const blockTypes = [
+    ...snapshot.blocks.map(b => b.type),
+    ...snapshot.corpses.flatMap(c => c.blocks),
+    ...snapshot.entities.flatMap(e => e.cellBlocks.map(b => b.type)),
+    ...snapshot.entities.flatMap(e => e.eaten)
+  ];
+  for (let type of blockTypes) {
+    if (!ruleset.blockTypes[type]) {
+      throw new Error(`Snapshot contains unknown block type: ${type}`);
+    }
+  }
+  return ruleset;
+};
+
+// Replace the world's state with the snapshot's. Throws without touching the
+// world if the snapshot is malformed.
+export const loadSnapshot = (world, snapshot) => {
+  const ruleset = validateSnapshot(snapshot);
+
+  world.params = { ...world.params, ...snapshot.params };
+  world.ruleset = ruleset;
+  world.random = createRandom(snapshot.randomState);
+  world.tick = snapshot.tick;
+  world.archetypes = { ...ruleset.archetypes, ...snapshot.variants };
+  world.variants = { ...snapshot.variantSignatures };
+  world.variantCount = snapshot.variantCount || 0;
+  world.entities = snapshot.entities.map(entity => ({
+    ...entity,
+    traits: { ...entity.traits },
+    cellBlocks: entity.cellBlocks.map(b => ({ ...b })),
+    eaten: [...entity.eaten],
+    archetype: world.archetypes[entity.type]
+  }));
+  world.blocks = snapshot.blocks.map(b => ({ ...b }));
+  world.corpses = snapshot.corpses.map(corpse => ({ ...corpse, blocks: [...corpse.blocks] }));
+  world.gasGrid = snapshot.gasGrid.map(row => row.map(cell => ({ ...cell })));
+  world.terrain = snapshot.terrain ? Uint8Array.from(snapshot.terrain) : null;
+  world.nextId = snapshot.nextId;
+  world.lineage = Lineage.fromJSON(snapshot.lineage);
+  world.appeared = new Set(snapshot.appeared);
+  world.countPopulation();
+  // History and events are not saved, so they start again from the loaded tick
+  world.eventLog.clear();
+  world.history.clear();
+  world.history.record(sampleWorld(world));
+  // Nor are the ledger's books
+  world.ledger.restart(world);
+
+  return snapshot.view || {};
+};
@@ -0,0 +1,81 @@
+// Uniform grid over the world bounds for fixed-radius neighbour queries.
+// The world rebuilds one per tick for free blocks and one for organisms, so
+// attraction, entity formation and hunting only look at nearby cells instead
+// of scanning every object.
+
+export class SpatialHash {
+  constructor(cellSize) {
+    this.cellSize = cellSize;
+    this.cols = 0;
+    this.rows = 0;
+    this.cells = [];
+    // Cell each item was filed under, so remove() works after it has moved
+    this.cellOf = new Map();
+  }
+
+  // Clear the grid and file every item that passes the filter. Resizes the
+  // grid when the world bounds have changed.
+  rebuild(items, width, height, filter = null) {
+    const cols = Math.max(1, Math.ceil(width / this.cellSize));
+    const rows = Math.max(1, Math.ceil(height / this.cellSize));
+
+    if (cols !== this.cols || rows !== this.rows) {
+      this.cols = cols;
+      this.rows = rows;
+      this.cells = Array.from({ length: cols * rows }, () => []);
+    } else {
+      for (let cell of this.cells) cell.length = 0;
+    }
+    this.cellOf.clear();
+
+    for (let item of items) {
+      if (!filter || filter(item)) this.insert(item);
+    }
+  }
+
+  cellIndex(x, y) {
+    const col = Math.max(0, Math.min(this.cols - 1, Math.floor(x / this.cellSize)));
+    const row = Math.max(0, Math.min(this.rows - 1, Math.floor(y / this.cellSize)));
+    return row * this.cols + col;
+  }
+
+  insert(item) {
+    const index = this.cellIndex(item.x, item.y);
+    this.cells[index].push(item);
+    this.cellOf.set(item, index);
+  }
+
+  remove(item) {
+    const index = this.cellOf.get(item);
+    if (index === undefined) return;
+
+    const cell = this.cells[index];
+    const position = cell.indexOf(item);
+    if (position !== -1) cell.splice(position, 1);
+    this.cellOf.delete(item);
+  }
+
+  // Call visit(item, dist) for every filed item strictly within radius of
+  // (x, y). Distances use the items' current positions.
+  forEachNear(x, y, radius, visit) {
+    const size = this.cellSize;
+    const minCol = Math.max(0, Math.floor((x - radius) / size));
+    const maxCol = Math.min(this.cols - 1, Math.floor((x + radius) / size));
+    const minRow = Math.max(0, Math.floor((y - radius) / size));
+    const maxRow = Math.min(this.rows - 1, Math.floor((y + radius) / size));
+    const radiusSq = radius * radius;
+
+    for (let row = minRow; row <= maxRow; row++) {
+      for (let col = minCol; col <= maxCol; col++) {
+        for (let item of this.cells[row * this.cols + col]) {
+          const dx = item.x - x;
+          const dy = item.y - y;
+          const distSq = dx * dx + dy * dy;
+          if (distSq < radiusSq) {
+            visit(item, Math.sqrt(distSq));
+          }
+        }
+      }
+    }
+  }
+}
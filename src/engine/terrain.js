@@ -0,0 +1,104 @@
+// Terrain layer: every gas cell is water, shoreline or land. The medium
+// decides who can breathe there and how blocks and gases move through it.
+// A world without a terrain map behaves as if it were all shoreline.
+
+import { createRandom } from './random.js';
+
+export const WATER = 0;
+export const SHORE = 1;
+export const LAND = 2;
+
+// Per-medium physics. Shoreline matches the original uniform medium.
+// gasDiffusion multiplies each chemical channel's own diffusion rate.
+export const MEDIA = [
+  // Water carries blocks along and mixes gases slowly
+  { name: 'Water', color: '#0b2942', blockFriction: 0.98, gasDiffusion: 0.4, aquatic: true, aerobic: false },
+  { name: 'Shoreline', color: '#2b2a1a', blockFriction: 0.98, gasDiffusion: 1, aquatic: true, aerobic: true },
+  // Blocks settle quickly on land while air mixes fast
+  { name: 'Land', color: '#17240f', blockFriction: 0.9, gasDiffusion: 2, aquatic: false, aerobic: true }
+];
+
+// Terrain presets selectable by the `terrain` world param
+export const TERRAIN_MODES = ['open', 'generated', 'water', 'land'];
+
+// Noise below this is water
+const WATER_LEVEL = 0.5;
+// Cells between noise lattice points; larger gives bigger lakes
+const NOISE_SCALE = 6;
+
+const smoothstep = (t) => t * t * (3 - 2 * t);
+
+// Two octaves of seeded value noise in [0, 1]
+const valueNoise = (cols, rows, random) => {
+  const octaves = [
+    { scale: NOISE_SCALE, weight: 0.7 },
+    { scale: NOISE_SCALE / 2, weight: 0.3 }
+  ];
+  const noise = new Float32Array(cols * rows);
+
+  for (let { scale, weight } of octaves) {
+    const latticeCols = Math.ceil(cols / scale) + 2;
+    const latticeRows = Math.ceil(rows / scale) + 2;
+    const lattice = Array.from({ length: latticeCols * latticeRows }, () => random());
+
+    for (let y = 0; y < rows; y++) {
+      for (let x = 0; x < cols; x++) {
+        const lx = x / scale, ly = y / scale;
+        const x0 = Math.floor(lx), y0 = Math.floor(ly);
+        const tx = smoothstep(lx - x0), ty = smoothstep(ly - y0);
+        const at = (ix, iy) => lattice[iy * latticeCols + ix];
+        const top = at(x0, y0) * (1 - tx) + at(x0 + 1, y0) * tx;
+        const bottom = at(x0, y0 + 1) * (1 - tx) + at(x0 + 1, y0 + 1) * tx;
+        noise[y * cols + x] += (top * (1 - ty) + bottom * ty) * weight;
+      }
+    }
+  }
+  return noise;
+};
+
+// Lakes and land from seeded noise, with shoreline wherever land touches water
+export const generateTerrain = (cols, rows, seed) => {
+  const noise = valueNoise(cols, rows, createRandom(seed));
+  const terrain = new Uint8Array(cols * rows);
+  for (let i = 0; i < terrain.length; i++) {
+    terrain[i] = noise[i] < WATER_LEVEL ? WATER : LAND;
+  }
+
+  const shore = [];
+  for (let y = 0; y < rows; y++) {
+    for (let x = 0; x < cols; x++) {
+      if (terrain[y * cols + x] !== LAND) continue;
+      let touchesWater = false;
+      for (let dy = -1; dy <= 1 && !touchesWater; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = x + dx, ny = y + dy;
+          if (nx >= 0 && nx < cols && ny >= 0 && ny < rows && terrain[ny * cols + nx] === WATER) {
+            touchesWater = true;
+            break;
+          }
+        }
+      }
+      if (touchesWater) shore.push(y * cols + x);
+    }
+  }
+  for (let i of shore) {
+    terrain[i] = SHORE;
+  }
+  return terrain;
+};
+
+// Terrain map for a preset, or null for the open (all-shoreline) world
+export const createTerrain = (mode, cols, rows, seed) => {
+  switch (mode) {
+    case 'open':
+      return null;
+    case 'generated':
+      return generateTerrain(cols, rows, seed);
+    case 'water':
+      return new Uint8Array(cols * rows).fill(WATER);
+    case 'land':
+      return new Uint8Array(cols * rows).fill(LAND);
+    default:
+      throw new Error(`Unknown terrain mode: ${mode}`);
+  }
+};
@@ -0,0 +1,1423 @@
+// Headless ecosystem simulation. Owns the building blocks, organisms and gas
+// grid and advances them tick by tick without React, the DOM or a canvas, so
+// it can run in the browser or under Node.
+
+import { loadRuleset, checkCompatibility } from './ruleset.js';
+import { BUNDLED_RULESETS, DEFAULT_RULESET_ID } from '../rulesets/index.js';
+import { createRandom, randomSeed } from './random.js';
+import { SpatialHash } from './spatial-hash.js';
+import { History, sampleWorld } from './history.js';
+import { Lineage } from './lineage.js';
+import { Ledger } from './ledger.js';
+import { EventBus, EVENT_TYPES } from './events.js';
+import { EventLog } from './event-log.js';
+import { validateScenario, firesAt, scenarioChannels, describeStep } from './scenario.js';
+import { MEDIA, SHORE, TERRAIN_MODES, createTerrain } from './terrain.js';
+import { daylight, lightFalloff } from './light.js';
+import {
+  DEFAULT_CHANNELS,
+  validateChannels,
+  validateBoundary,
+  createField,
+  syncChannels,
+  fieldCell,
+  diffuseField,
+  fieldTotals
+} from './chemical-field.js';
+import {
+  traitsFromArchetype,
+  recipeToBlocks,
+  compositionSignature,
+  matchArchetype,
+  nearestArchetype,
+  createVariant,
+  mutateOffspring
+} from './genome.js';
+
+export const DEFAULT_WORLD_PARAMS = {
+  width: 800,
+  height: 600,
+  initialBlocks: 800,
+  speed: 0.4,
+  attractionRange: 12,
+  // Terrain preset applied on reset: 'open' (uniform shoreline),
+  // 'generated' (lakes from the seed), 'water' or 'land'
+  terrain: 'open',
+  // Ticks per day/night cycle, 0 for constant full light, and whether light
+  // fades with depth ('depth') or is the same everywhere ('none')
+  dayLength: 3600,
+  lightGradient: 'none',
+  // Chemical field: world units per grid cell (applied on reset), how the
+  // grid edges behave, and the channels with their diffusion, decay and
+  // baseline. See chemical-field.js.
+  gridCellSize: 40,
+  boundary: 'closed',
+  channels: DEFAULT_CHANNELS,
+  // Cut the world off from outside: no spontaneous blocks, no decay towards
+  // the field baselines, no caps on gas and no exchange through an open
+  // boundary, so blocks and gas change only through what lives in it
+  closedSystem: false,
+  // Timed interventions to run, or null. See scenario.js.
+  scenario: null,
+  // Ticks between population history samples
+  historyInterval: 30,
+  // Same seed and params always replay the same history; null picks one
+  seed: null
+};
+
+// Neighbour query radii
+const FORMATION_RANGE = 35;
+// Share of its sensing range a photoreceptor-bearing organism keeps in
+// complete darkness
+const NIGHT_VISION = 0.4;
+// Smell reaches this share of the sensing range, whatever the light
+const SMELL_RANGE = 0.5;
+// Chemotaxis pulls: up the breathed gas's gradient, towards food and away
+// from predators. Gas differences of GAS_GRADIENT_SCALE or more pull fully.
+const GAS_PULL = 0.05;
+const GAS_GRADIENT_SCALE = 5;
+const FOOD_PULL = 0.2;
+const FLEE_PUSH = 0.4;
+// Free blocks grazers can smell and eat
+const GRAZING_FUNCTIONS = ['energy_source', 'produce_oxygen'];
+// Energy from eating one free block, and taken from a photosynthesiser per
+// bite. Grazers stop eating once this full.
+const GRAZE_BLOCK_ENERGY = 12;
+const GRAZE_BITE = 15;
+const GRAZE_SATIATION = 90;
+// Energy a predator gets from each of its prey's blocks, by function, and
+// what a missed attack costs it
+const PREY_BLOCK_ENERGY = { energy_source: 10, structure: 6 };
+const PREY_BLOCK_ENERGY_DEFAULT = 4;
+const MISSED_ATTACK_COST = 2;
+// Push given to prey that escapes an attack
+const ESCAPE_IMPULSE = 1.5;
+// Chance per tick that a corpse breaks one block down on its own. A
+// decomposer touching a corpse breaks one down every tick, gaining energy;
+// every breakdown puts CO2 into the gas grid.
+const DETRITUS_DECAY_RATE = 0.01;
+const DECOMPOSE_ENERGY = 8;
+const DECOMPOSE_CO2 = 2;
+// Extra reach of a corpse for decomposers touching it
+const CORPSE_RADIUS = 4;
+// Energy per photosynthetic block per tick in full light, and the light
+// above which photosynthesis counts as feeding
+const PHOTOSYNTHESIS_ENERGY = 0.02;
+const PHOTOSYNTHESIS_FED_LIGHT = 0.25;
+// Grid spacing for the organism index; sensing ranges are heritable, so this
+// is only a tuning value, not a limit
+const ENTITY_INDEX_CELL = 75;
+
+// Arrange blocks in a pattern inside the cell
+const layoutCellBlocks = (blockTypes, size) => blockTypes.map((type, i) => {
+  const angle = (Math.PI * 2 / blockTypes.length) * i;
+  const radius = size * 0.4;
+  return { type, relX: Math.cos(angle) * radius, relY: Math.sin(angle) * radius };
+});
+
+// Carry an edit of an archetype default over to a heritable value, keeping
+// the organism's own deviation from the old default
+const rescale = (value, before, after) => before > 0 ? value * (after / before) : after;
+
+// Number of an organism's blocks whose type has the given function
+const countFunction = (entity, blockTypes, fn) => {
+  let count = 0;
+  for (let block of entity.cellBlocks) {
+    if (blockTypes[block.type].function === fn) count++;
+  }
+  return count;
+};
+
+// Sensor reach grows with the number of receptors, like thrust with
+// locomotion blocks
+const receptorScale = (count) => Math.min(1.5, 0.5 + count * 0.25);
+
+// Unit vector of (x, y) scaled by weight, or zero
+const pull = (x, y, weight) => {
+  const length = Math.sqrt(x * x + y * y);
+  return length > 0 ? [(x / length) * weight, (y / length) * weight] : [0, 0];
+};
+
+export class World {
+  constructor(params = {}, ruleset = BUNDLED_RULESETS[DEFAULT_RULESET_ID]) {
+    this.params = { ...DEFAULT_WORLD_PARAMS, ...params };
+    this.ruleset = loadRuleset(ruleset);
+    if (this.params.scenario) {
+      validateScenario(this.params.scenario, this.ruleset, this.params.channels);
+    }
+    this.blockIndex = new SpatialHash(FORMATION_RANGE);
+    this.entityIndex = new SpatialHash(ENTITY_INDEX_CELL);
+    // Decomposers sense corpses over the same ranges as organisms
+    this.corpseIndex = new SpatialHash(ENTITY_INDEX_CELL);
+    this.history = new History();
+    this.lineage = new Lineage();
+    this.ledger = new Ledger();
+    // Subscribers outlive resets and snapshot loads
+    this.events = new EventBus();
+    this.eventLog = new EventLog();
+    this.stopLogging = [];
+    if (this.params.seed === null) {
+      this.params.seed = randomSeed();
+    }
+    this.reset();
+  }
+
+  // Merge new parameters in place; width, height, initialBlocks, seed and
+  // gridCellSize only take effect on the next reset(). Chemical channels
+  // apply at once, new ones starting at their baseline, and restart the
+  // ledger since its gas totals no longer compare. A scenario's steps fire
+  // from the next tick on, so reset() with it to run it from the start.
+  setParams(params) {
+    if (params.channels !== undefined) validateChannels(params.channels);
+    if (params.boundary !== undefined) validateBoundary(params.boundary);
+    if (params.scenario) {
+      validateScenario(params.scenario, this.ruleset, params.channels || this.params.channels);
+    }
+    Object.assign(this.params, params);
+    if (params.channels !== undefined) {
+      syncChannels(this.gasGrid, this.params.channels);
+      this.ledger.restart(this);
+    }
+  }
+
+  // Call listener(event) whenever an event of the type happens, or on every
+  // event for '*'. Returns a function that unsubscribes. See events.js.
+  subscribe(type, listener) {
+    return this.events.subscribe(type, listener);
+  }
+
+  // Record events of these types in eventLog, in place of whatever it
+  // recorded before. The log is off until this is called, so a world nobody
+  // watches never builds its events.
+  logEvents(types = EVENT_TYPES) {
+    for (let unsubscribe of this.stopLogging) unsubscribe();
+    this.stopLogging = types.map(type => this.subscribe(type, event => this.eventLog.record(event)));
+  }
+
+  emit(type, x, y, fields) {
+    if (this.events.hasListeners(type)) {
+      this.events.emit({ type, tick: this.tick, x, y, ...fields });
+    }
+  }
+
+  // Switch to another chemistry. Existing blocks and organisms may not exist
+  // in it, so the world starts over.
+  setRuleset(ruleset) {
+    this.ruleset = loadRuleset(ruleset);
+    this.reset();
+  }
+
+  // Swap in an edited version of the current chemistry without starting
+  // over. Blocks of removed types disappear, organisms of removed archetypes
+  // are reclassified, and living members of an edited archetype carry the
+  // change over to their own traits. The ledger starts over.
+  updateRuleset(data) {
+    const ruleset = loadRuleset(data);
+    const previous = this.ruleset.archetypes;
+    const variants = Object.fromEntries(
+      Object.entries(this.archetypes).filter(([, archetype]) => archetype.variantOf)
+    );
+
+    this.ruleset = ruleset;
+    this.archetypes = { ...ruleset.archetypes, ...variants };
+    this.blocks = this.blocks.filter(b => ruleset.blockTypes[b.type]);
+    for (let corpse of this.corpses) {
+      corpse.blocks = corpse.blocks.filter(type => ruleset.blockTypes[type]);
+    }
+    this.corpses = this.corpses.filter(corpse => corpse.blocks.length > 0);
+
+    this.entities = this.entities.filter(entity => {
+      const blockTypes = entity.cellBlocks.map(b => b.type).filter(type => ruleset.blockTypes[type]);
+      if (blockTypes.length === 0) {
+        this.lineage.died(entity, this.tick);
+        return false;
+      }
+
+      const before = previous[entity.type];
+      const after = ruleset.archetypes[entity.type];
+      if (before && after) {
+        const traits = entity.traits;
+        const defaults = traitsFromArchetype(after);
+        const oldDefaults = traitsFromArchetype(before);
+        for (let key in traits) {
+          traits[key] = rescale(traits[key], oldDefaults[key], defaults[key]);
+        }
+        entity.metabolismRate = rescale(entity.metabolismRate, before.metabolism, after.metabolism);
+        entity.starvationResistance = rescale(entity.starvationResistance, before.starvationTime, after.starvationTime);
+      } else if (!this.archetypes[entity.type]) {
+        entity.type = this.classify(blockTypes);
+      }
+
+      entity.archetype = this.archetypes[entity.type];
+      entity.cellBlocks = layoutCellBlocks(blockTypes, entity.traits.size);
+      entity.eaten = entity.eaten.filter(type => ruleset.blockTypes[type]);
+      return true;
+    });
+    this.countPopulation();
+    this.ledger.restart(this);
+  }
+
+  reset() {
+    const { width, height, initialBlocks, seed, gridCellSize, boundary, channels } = this.params;
+    validateChannels(channels);
+    validateBoundary(boundary);
+
+    // Every stochastic decision below and in step() draws from this stream
+    this.random = createRandom(seed);
+    this.tick = 0;
+    this.nextId = 1;
+    this.lineage.clear();
+    this.eventLog.clear();
+    // Living organisms per archetype key, and every key that has had one
+    this.population = {};
+    this.appeared = new Set();
+    this.gasGrid = createField(width, height, gridCellSize, channels);
+    this.initTerrain();
+    this.entities = [];
+    this.blocks = [];
+    // Dead organisms waiting to break down: position and remaining block types
+    this.corpses = [];
+    // Built-in archetypes plus variants that evolve during the run, and the
+    // composition signature each variant was registered under
+    this.archetypes = { ...this.ruleset.archetypes };
+    this.variants = {};
+    this.variantCount = 0;
+
+    const blockTypes = Object.keys(this.ruleset.blockTypes);
+    for (let i = 0; i < initialBlocks; i++) {
+      const type = blockTypes[Math.floor(this.random() * blockTypes.length)];
+      this.addBlock(type, this.random() * width, this.random() * height, {
+        vx: (this.random() - 0.5) * 0.2,
+        vy: (this.random() - 0.5) * 0.2
+      });
+    }
+
+    this.history.clear();
+    this.history.record(sampleWorld(this));
+    this.ledger.restart(this);
+  }
+
+  // Build the terrain preset named by params.terrain. Generated terrain uses
+  // its own stream derived from the seed so it never shifts the world's.
+  initTerrain() {
+    const { terrain, seed } = this.params;
+    if (!TERRAIN_MODES.includes(terrain)) {
+      throw new Error(`Unknown terrain mode: ${terrain}`);
+    }
+    this.terrain = createTerrain(terrain, this.gasGrid[0]?.length || 0, this.gasGrid.length, (seed ^ 0x5bd1e995) >>> 0);
+  }
+
+  // Medium at a world position; worlds without terrain are all shoreline
+  mediumAt(x, y) {
+    if (!this.terrain) return MEDIA[SHORE];
+    const { gridCellSize } = this.params;
+    const cols = this.gasGrid[0].length;
+    const col = Math.min(cols - 1, Math.max(0, Math.floor(x / gridCellSize)));
+    const row = Math.min(this.gasGrid.length - 1, Math.max(0, Math.floor(y / gridCellSize)));
+    return MEDIA[this.terrain[row * cols + col]];
+  }
+
+  // Chemical field cell under a world position, or null outside the grid
+  cellAt(x, y) {
+    return fieldCell(this.gasGrid, this.params.gridCellSize, x, y);
+  }
+
+  // Daylight everywhere at the current tick, before any depth falloff
+  currentLight() {
+    return daylight(this.tick, this.params.dayLength);
+  }
+
+  lightAt(x, y) {
+    return this.currentLight() * lightFalloff(y, this.params.height, this.params.lightGradient);
+  }
+
+  // Paint one medium into every terrain cell within radius of a point. An
+  // open world gets a shoreline map to paint on.
+  paintTerrain(medium, x, y, radius) {
+    if (!MEDIA[medium]) {
+      throw new Error(`Unknown terrain medium: ${medium}`);
+    }
+    const { gridCellSize } = this.params;
+    const rows = this.gasGrid.length;
+    const cols = rows > 0 ? this.gasGrid[0].length : 0;
+    if (!this.terrain) {
+      this.terrain = new Uint8Array(cols * rows).fill(SHORE);
+    }
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < cols; col++) {
+        const cx = (col + 0.5) * gridCellSize;
+        const cy = (row + 0.5) * gridCellSize;
+        if (Math.hypot(cx - x, cy - y) <= radius + gridCellSize / 2) {
+          this.terrain[row * cols + col] = medium;
+        }
+      }
+    }
+  }
+
+  // Change the world bounds without discarding the run. Gas cells that still
+  // fit keep their values and anything outside the new bounds wraps back in.
+  // The gas totals change with the grid, so the ledger starts over.
+  resize(width, height) {
+    const oldGrid = this.gasGrid;
+    const oldTerrain = this.terrain;
+    this.params.width = width;
+    this.params.height = height;
+    this.gasGrid = createField(width, height, this.params.gridCellSize, this.params.channels);
+    const cols = this.gasGrid[0].length;
+    if (oldTerrain) {
+      this.terrain = new Uint8Array(cols * this.gasGrid.length).fill(SHORE);
+    }
+
+    for (let y = 0; y < this.gasGrid.length && y < oldGrid.length; y++) {
+      for (let x = 0; x < cols && x < oldGrid[0].length; x++) {
+        this.gasGrid[y][x] = oldGrid[y][x];
+        if (oldTerrain) {
+          this.terrain[y * cols + x] = oldTerrain[y * oldGrid[0].length + x];
+        }
+      }
+    }
+
+    for (let item of [...this.blocks, ...this.entities, ...this.corpses]) {
+      item.x = ((item.x % width) + width) % width;
+      item.y = ((item.y % height) + height) % height;
+    }
+    this.ledger.restart(this);
+  }
+
+  addBlock(type, x, y, { vx = 0, vy = 0 } = {}) {
+    const block = { x, y, vx, vy, type, free: true, age: 0 };
+    this.blocks.push(block);
+    return block;
+  }
+
+  // Drop in a fully formed organism of the given archetype, founding a new
+  // lineage. The cell blocks default to the archetype's recipe.
+  addEntity(archetypeKey, x, y, blockTypes = null) {
+    const archetype = this.archetypes[archetypeKey];
+    if (!archetype) {
+      throw new Error(`Unknown archetype: ${archetypeKey}`);
+    }
+
+    const entity = this.createOrganism(archetypeKey, x, y, blockTypes || recipeToBlocks(archetype.requires));
+    this.ledger.energy('intervention', entity.energy);
+    for (let block of entity.cellBlocks) {
+      this.ledger.blocks('intervention', block.type, 1);
+    }
+    return entity;
+  }
+
+  // Archetype key for a composition, registering a new variant the first
+  // time a composition matches none of the known archetypes
+  classify(blockTypes) {
+    const match = matchArchetype(blockTypes, this.archetypes);
+    if (match) return match;
+
+    const signature = compositionSignature(blockTypes);
+    if (!this.variants[signature]) {
+      const parentKey = nearestArchetype(blockTypes, this.archetypes);
+      const number = ++this.variantCount;
+      const key = `${parentKey}_V${number}`;
+      this.archetypes[key] = createVariant(blockTypes, parentKey, this.archetypes[parentKey], number);
+      this.variants[signature] = key;
+    }
+    return this.variants[signature];
+  }
+
+  createOrganism(type, x, y, blockTypes, overrides = {}) {
+    const archetype = this.archetypes[type];
+    const traits = overrides.traits || traitsFromArchetype(archetype);
+    const cellBlocks = layoutCellBlocks(blockTypes, traits.size);
+
+    // Organisms without a parent found their own lineage
+    const entity = {
+      id: this.nextId++,
+      parentId: null,
+      generation: 0,
+      birthTick: this.tick,
+      type,
+      x,
+      y,
+      vx: (this.random() - 0.5) * 0.3,
+      vy: (this.random() - 0.5) * 0.3,
+      energy: 100,
+      age: 0,
+      timeSinceFed: 0,
+      hibernating: false,
+      starvationResistance: archetype.starvationTime,
+      metabolismRate: archetype.metabolism,
+      // Types of the free blocks it has grazed, kept until it dies
+      eaten: [],
+      ...overrides,
+      traits,
+      cellBlocks,
+      archetype
+    };
+    this.entities.push(entity);
+    this.lineage.born(entity, this.tick);
+    this.population[type] = (this.population[type] || 0) + 1;
+    if (!this.appeared.has(type)) {
+      this.appeared.add(type);
+      this.emit('speciesAppeared', x, y, { archetype: type });
+    }
+    return entity;
+  }
+
+  // Take a dead organism off the census, announcing its archetype's
+  // extinction if it was the last
+  removeFromPopulation(entity) {
+    if (--this.population[entity.type] > 0) return;
+    delete this.population[entity.type];
+    this.emit('extinction', entity.x, entity.y, { archetype: entity.type });
+  }
+
+  // Recount the census after organisms were replaced or reclassified
+  countPopulation() {
+    this.population = {};
+    for (let entity of this.entities) {
+      this.population[entity.type] = (this.population[entity.type] || 0) + 1;
+      this.appeared.add(entity.type);
+    }
+  }
+
+  // Advance one tick entirely on the CPU
+  step() {
+    this.runScenario();
+    this.indexBlocks();
+    this.diffuseGases();
+    this.updateBlocks();
+    // File the blocks again where they moved to, so formation and grazing
+    // do not look for them in the cells they just left
+    this.indexBlocks();
+    this.updateEntities();
+    this.updateDetritus();
+    this.tick++;
+    this.ledger.close(this);
+    this.recordHistory();
+  }
+
+  // Advance one tick, offloading gas diffusion and block physics to a
+  // WebGPUCompute instance when one is given. The GPU kernels assume a uniform
+  // medium, so worlds with terrain run on the CPU. The GPU draws nothing
+  // random itself: attraction is picked here from the world's stream, the
+  // same draws updateBlocks() makes, so a seed replays the same run on it.
+  // It computes in single precision, though, so its runs drift apart from
+  // CPU runs of the same seed.
+  async stepAsync(gpu) {
+    if (!gpu || this.terrain) {
+      this.step();
+      return;
+    }
+
+    this.runScenario();
+    const before = fieldTotals(this.gasGrid, this.params.channels);
+    await gpu.updateGasGrid(this.gasGrid, this.fieldSettings());
+    this.bookEquilibration(before);
+    const attract = this.blocks.map(block => block.free && this.random() < 0.02);
+    await gpu.updateBlocks(this.blocks, this.params, {
+      attract,
+      friction: MEDIA[SHORE].blockFriction,
+      cellSize: this.blockIndex.cellSize
+    });
+    this.indexBlocks();
+    this.updateEntities();
+    this.updateDetritus();
+    this.tick++;
+    this.ledger.close(this);
+    this.recordHistory();
+  }
+
+  recordHistory() {
+    if (this.tick % this.params.historyInterval === 0) {
+      this.history.record(sampleWorld(this));
+    }
+  }
+
+  getState() {
+    return {
+      tick: this.tick,
+      seed: this.params.seed,
+      width: this.params.width,
+      height: this.params.height,
+      entities: this.entities,
+      blocks: this.blocks,
+      gasGrid: this.gasGrid
+    };
+  }
+
+  // Rebuild the free-block index shared by attraction and entity formation
+  indexBlocks() {
+    const { width, height } = this.params;
+    this.blockIndex.rebuild(this.blocks, width, height, b => b.free);
+  }
+
+  // Channels and boundary the field runs with, with any baselines the
+  // scenario has set by now. A closed system keeps every channel's gas: no
+  // decay, no cap and nothing through the edges.
+  fieldSettings() {
+    const { boundary, closedSystem, scenario } = this.params;
+    const channels = scenarioChannels(scenario, this.params.channels, this.tick);
+    if (!closedSystem) return { channels, boundary };
+    return {
+      channels: channels.map(channel => ({ ...channel, decay: 0, max: Infinity })),
+      boundary: boundary === 'open' ? 'closed' : boundary
+    };
+  }
+
+  // Mixing conserves gas, so whatever the field step changed is the pull of
+  // decay, caps and an open boundary
+  bookEquilibration(before) {
+    const after = fieldTotals(this.gasGrid, this.params.channels);
+    for (let name in after) {
+      this.ledger.gas('equilibration', name, after[name] - before[name]);
+    }
+  }
+
+  // Mix, decay and clamp every chemical channel. The medium of each cell
+  // scales how fast it mixes.
+  diffuseGases() {
+    const terrain = this.terrain;
+    const cols = this.gasGrid.length > 0 ? this.gasGrid[0].length : 0;
+    const { channels, boundary } = this.fieldSettings();
+    const before = fieldTotals(this.gasGrid, channels);
+    diffuseField(this.gasGrid, channels, boundary, (x, y) =>
+      terrain ? MEDIA[terrain[y * cols + x]].gasDiffusion : MEDIA[SHORE].gasDiffusion
+    );
+    this.bookEquilibration(before);
+  }
+
+  updateBlocks() {
+    const blocks = this.blocks;
+    const { width, height, speed, attractionRange } = this.params;
+
+    for (let i = 0; i < blocks.length; i++) {
+      const block = blocks[i];
+      if (!block.free) continue;
+
+      if (this.random() < 0.02) {
+        this.blockIndex.forEachNear(block.x, block.y, attractionRange, (other, dist) => {
+          if (other === block || dist === 0) return;
+          block.vx += ((other.x - block.x) / dist) * 0.01;
+          block.vy += ((other.y - block.y) / dist) * 0.01;
+        });
+      }
+
+      const friction = this.mediumAt(block.x, block.y).blockFriction;
+      block.vx *= friction;
+      block.vy *= friction;
+      block.x += block.vx * speed;
+      block.y += block.vy * speed;
+
+      if (block.x < 0) block.x = width;
+      if (block.x > width) block.x = 0;
+      if (block.y < 0) block.y = height;
+      if (block.y > height) block.y = 0;
+
+      block.age++;
+    }
+  }
+
+  tryFormEntity() {
+    const blocks = this.blocks;
+    if (blocks.length === 0) return null;
+
+    // Only the built-in archetypes assemble from free blocks; variants arise
+    // through reproduction
+    for (let [archetypeKey, archetype] of Object.entries(this.ruleset.archetypes)) {
+      if (this.random() > 0.001) continue;
+
+      const startIdx = Math.floor(this.random() * blocks.length);
+      const startBlock = blocks[startIdx];
+
+      const nearby = [];
+      this.blockIndex.forEachNear(startBlock.x, startBlock.y, FORMATION_RANGE, (block) => {
+        nearby.push(block);
+      });
+
+      const available = {};
+      for (let block of nearby) {
+        available[block.type] = (available[block.type] || 0) + 1;
+      }
+
+      let canForm = true;
+      for (let [blockType, amount] of Object.entries(archetype.requires)) {
+        if ((available[blockType] || 0) < amount) {
+          canForm = false;
+          break;
+        }
+      }
+
+      if (canForm) {
+        // Check compatibility
+        const blockTypesInEntity = Object.keys(archetype.requires);
+        if (!checkCompatibility(blockTypesInEntity, this.ruleset.compatibility)) {
+          continue; // Skip if incompatible
+        }
+
+        let cx = 0, cy = 0, count = 0;
+        const toRemove = new Set();
+        const cellBlockTypes = [];
+
+        for (let [blockType, amount] of Object.entries(archetype.requires)) {
+          let found = 0;
+          for (let block of nearby) {
+            if (block.type === blockType && found < amount) {
+              cx += block.x;
+              cy += block.y;
+              count++;
+              cellBlockTypes.push(blockType);
+              toRemove.add(block);
+              found++;
+            }
+          }
+        }
+
+        for (let block of toRemove) {
+          this.blockIndex.remove(block);
+        }
+        this.blocks = blocks.filter(b => !toRemove.has(b));
+
+        const entity = this.createOrganism(archetypeKey, cx / count, cy / count, cellBlockTypes);
+        this.ledger.energy('formation', entity.energy);
+        this.emit('entityFormed', entity.x, entity.y, { id: entity.id, archetype: entity.type });
+        return entity;
+      }
+    }
+    return null;
+  }
+
+  // Remove a dead organism, leaving its blocks and the blocks it grazed
+  // behind as a corpse. Returns the index it had in the entity list.
+  killEntity(entity) {
+    const blocks = [...entity.cellBlocks.map(b => b.type), ...entity.eaten];
+    this.corpses.push({ x: entity.x, y: entity.y, blocks, age: 0 });
+    this.lineage.died(entity, this.tick);
+    this.removeFromPopulation(entity);
+    this.entityIndex.remove(entity);
+    const index = this.entities.indexOf(entity);
+    this.entities.splice(index, 1);
+    return index;
+  }
+
+  // Break one block of a corpse down into a free block. Nutrient blocks
+  // become the ruleset's first energy_source type and everything else its
+  // first structure type, releasing CO2 where the corpse lies.
+  decomposeBlock(corpse) {
+    const blockTypes = this.ruleset.blockTypes;
+    const type = corpse.blocks.pop();
+    const target = blockTypes[type].function === 'energy_source' ? 'energy_source' : 'structure';
+    const released = Object.keys(blockTypes).find(key => blockTypes[key].function === target) || type;
+
+    this.addBlock(
+      released,
+      corpse.x + (this.random() - 0.5) * 10,
+      corpse.y + (this.random() - 0.5) * 10,
+      { vx: (this.random() - 0.5) * 0.5, vy: (this.random() - 0.5) * 0.5 }
+    );
+    this.ledger.blocks('decomposition', type, -1);
+    this.ledger.blocks('decomposition', released, 1);
+    const cell = this.cellAt(corpse.x, corpse.y);
+    if (cell) {
+      cell.co2 += DECOMPOSE_CO2;
+      this.ledger.gas('decomposition', 'co2', DECOMPOSE_CO2);
+    }
+  }
+
+  // Corpses break down slowly on their own and disappear once empty
+  updateDetritus() {
+    for (let corpse of this.corpses) {
+      corpse.age++;
+      if (corpse.blocks.length > 0 && this.random() < DETRITUS_DECAY_RATE) {
+        this.decomposeBlock(corpse);
+      }
+    }
+    this.corpses = this.corpses.filter(corpse => corpse.blocks.length > 0);
+  }
+
+  // Which gas an organism breathes and whether it can: aerobic organisms
+  // need air and aquatic ones water, each with enough of their gas
+  respiration(entity, cell) {
+    const blockTypes = this.ruleset.blockTypes;
+    const medium = this.mediumAt(entity.x, entity.y);
+    const hasAerobic = countFunction(entity, blockTypes, 'breathe_air') > 0;
+    const hasAquatic = countFunction(entity, blockTypes, 'breathe_water') > 0;
+    const canBreathe = hasAerobic ? medium.aerobic && cell.oxygen > 10
+      : hasAquatic ? medium.aquatic && cell.co2 > 10
+      : true;
+    return { hasAerobic, hasAquatic, canBreathe };
+  }
+
+  // How far an organism sees and smells. Photoreceptors see farther the
+  // more there are and the brighter it is; chemoreceptors smell regardless
+  // of light. An organism with neither sees and smells nothing.
+  senses(entity) {
+    const blockTypes = this.ruleset.blockTypes;
+    const { sensingRange } = entity.traits;
+    const photoreceptors = countFunction(entity, blockTypes, 'vision');
+    const chemoreceptors = countFunction(entity, blockTypes, 'sensing');
+
+    const sight = photoreceptors > 0
+      ? sensingRange * receptorScale(photoreceptors) * (NIGHT_VISION + (1 - NIGHT_VISION) * this.lightAt(entity.x, entity.y))
+      : 0;
+    const smell = chemoreceptors > 0 ? sensingRange * SMELL_RANGE * receptorScale(chemoreceptors) : 0;
+    return { sight, smell };
+  }
+
+  // Steering from smell: up the gradient of the gas the organism breathes,
+  // towards food for grazers, and away from any predator within range
+  chemotaxis(entity, range, breathes) {
+    const blockTypes = this.ruleset.blockTypes;
+    const { x, y } = entity;
+    let fx = 0, fy = 0;
+
+    if (breathes) {
+      const step = this.params.gridCellSize;
+      const here = this.cellAt(x, y);
+      const at = (dx, dy) => (this.cellAt(x + dx, y + dy) || here)[breathes];
+      const gx = at(step, 0) - at(-step, 0);
+      const gy = at(0, step) - at(0, -step);
+      const strength = GAS_PULL * Math.min(1, Math.sqrt(gx * gx + gy * gy) / GAS_GRADIENT_SCALE);
+      const [px, py] = pull(gx, gy, strength);
+      fx += px;
+      fy += py;
+    }
+
+    // Nearer food and predators count for more
+    if (countFunction(entity, blockTypes, 'eat_vegetation') > 0) {
+      let foodX = 0, foodY = 0;
+      this.blockIndex.forEachNear(x, y, range, (block, dist) => {
+        if (dist === 0 || !GRAZING_FUNCTIONS.includes(blockTypes[block.type].function)) return;
+        const weight = (1 - dist / range) / dist;
+        foodX += (block.x - x) * weight;
+        foodY += (block.y - y) * weight;
+      });
+      this.entityIndex.forEachNear(x, y, range, (other, dist) => {
+        if (other === entity || dist === 0 || countFunction(other, blockTypes, 'produce_oxygen') === 0) return;
+        const weight = (1 - dist / range) / dist;
+        foodX += (other.x - x) * weight;
+        foodY += (other.y - y) * weight;
+      });
+      const [px, py] = pull(foodX, foodY, FOOD_PULL);
+      fx += px;
+      fy += py;
+    }
+
+    let fleeX = 0, fleeY = 0;
+    this.entityIndex.forEachNear(x, y, range, (other, dist) => {
+      if (other === entity || dist === 0 || countFunction(other, blockTypes, 'eat_meat') === 0 ||
+          !this.canEat(other, entity)) return;
+      const weight = (1 - dist / range) / dist;
+      fleeX += (x - other.x) * weight;
+      fleeY += (y - other.y) * weight;
+    });
+    const [px, py] = pull(fleeX, fleeY, FLEE_PUSH);
+    return [fx + px, fy + py];
+  }
+
+  // Whether the ruleset's food web lets a predator take this prey: the
+  // prey's archetype is on the predator's diet (its own only with
+  // cannibalism) and it is not too big. Variants eat and are eaten like the
+  // archetype they came from.
+  canEat(predator, prey) {
+    const { diet, cannibalism, maxSizeRatio } = this.ruleset.predation;
+    const predatorKey = this.archetypes[predator.type].variantOf || predator.type;
+    const preyKey = this.archetypes[prey.type].variantOf || prey.type;
+    const onDiet = predatorKey === preyKey ? cannibalism : (diet[predatorKey] || []).includes(preyKey);
+    return onDiet && prey.traits.size <= predator.traits.size * maxSizeRatio;
+  }
+
+  // What eating this prey is worth, from the blocks it is made of
+  preyEnergy(prey) {
+    const blockTypes = this.ruleset.blockTypes;
+    let energy = 0;
+    for (let block of prey.cellBlocks) {
+      energy += PREY_BLOCK_ENERGY[blockTypes[block.type].function] ?? PREY_BLOCK_ENERGY_DEFAULT;
+    }
+    return energy;
+  }
+
+  updateEntities() {
+    const { width, height, speed: simSpeed } = this.params;
+    const entities = this.entities;
+    const blockTypes = this.ruleset.blockTypes;
+
+    this.tryFormEntity();
+    this.entityIndex.rebuild(entities, width, height);
+    // Corpses left during this tick are found from the next one
+    this.corpseIndex.rebuild(this.corpses, width, height);
+
+    for (let i = entities.length - 1; i >= 0; i--) {
+      const entity = entities[i];
+      const traits = entity.traits;
+      const cell = this.cellAt(entity.x, entity.y);
+      if (!cell) continue;
+
+      const { hasAerobic, hasAquatic, canBreathe } = this.respiration(entity, cell);
+
+      if (!entity.hibernating && entity.timeSinceFed > entity.starvationResistance * 0.5 && !canBreathe) {
+        entity.hibernating = true;
+        this.emit('hibernationStarted', entity.x, entity.y, { id: entity.id, archetype: entity.type });
+      } else if (entity.hibernating && canBreathe && entity.timeSinceFed < entity.starvationResistance * 0.3) {
+        entity.hibernating = false;
+        this.emit('hibernationEnded', entity.x, entity.y, { id: entity.id, archetype: entity.type });
+      }
+
+      const activeMetabolism = entity.hibernating ? entity.metabolismRate * 0.1 : entity.metabolismRate;
+
+      let fx = 0, fy = 0;
+
+      if (!entity.hibernating) {
+        // Movement based on locomotion blocks; each extra one adds thrust
+        const locomotion = countFunction(entity, blockTypes, 'movement');
+        const movementMultiplier = locomotion > 0 ? Math.min(1.5, 0.5 + locomotion * 0.25) : 0.3;
+
+        const { sight, smell } = this.senses(entity);
+
+        // Hunting behavior for carnivores. Prey is found by sight or smell;
+        // a blind hunter only catches what it bumps into.
+        const hasCarnivoreEnzyme = countFunction(entity, blockTypes, 'eat_meat') > 0;
+        if (hasCarnivoreEnzyme) {
+          let closest = null, minDist = Infinity;
+          const range = Math.max(sight, smell, traits.size + 3);
+
+          this.entityIndex.forEachNear(entity.x, entity.y, range, (prey, dist) => {
+            if (prey !== entity && dist < minDist && this.canEat(entity, prey)) {
+              minDist = dist;
+              closest = prey;
+            }
+          });
+
+          if (closest) {
+            const dx = closest.x - entity.x;
+            const dy = closest.y - entity.y;
+            const dist = Math.sqrt(dx * dx + dy * dy);
+            if (dist > 0) {
+              fx += (dx / dist) * 0.3 * movementMultiplier;
+              fy += (dy / dist) * 0.3 * movementMultiplier;
+            }
+
+            // Bigger prey is harder to catch; prey that gets away bolts
+            if (dist < traits.size + 3) {
+              const { captureChance } = this.ruleset.predation;
+              if (this.random() < captureChance * Math.min(1, traits.size / closest.traits.size)) {
+                const before = entity.energy;
+                entity.energy = Math.min(100, entity.energy + this.preyEnergy(closest));
+                entity.timeSinceFed = 0;
+                this.ledger.energy('predation', entity.energy - before - closest.energy);
+                this.emit('predation', closest.x, closest.y, {
+                  predatorId: entity.id,
+                  preyId: closest.id,
+                  predatorArchetype: entity.type,
+                  preyArchetype: closest.type
+                });
+
+                if (this.killEntity(closest) < i) i--;
+              } else {
+                entity.energy -= MISSED_ATTACK_COST;
+                this.ledger.energy('predation', -MISSED_ATTACK_COST);
+                if (dist > 0) {
+                  closest.vx += (dx / dist) * ESCAPE_IMPULSE;
+                  closest.vy += (dy / dist) * ESCAPE_IMPULSE;
+                }
+              }
+            }
+          }
+        }
+
+        // Grazers eat free food blocks whole, keeping the matter until they
+        // die, and take bites out of photosynthesisers, which die once
+        // drained
+        const hasHerbivoreEnzyme = countFunction(entity, blockTypes, 'eat_vegetation') > 0;
+        if (hasHerbivoreEnzyme && entity.energy < GRAZE_SATIATION) {
+          let food = null, foodIsBlock = false, minDist = Infinity;
+          const range = Math.max(sight, smell, traits.size + 3);
+
+          this.entityIndex.forEachNear(entity.x, entity.y, range, (plant, dist) => {
+            if (plant !== entity && dist < minDist && countFunction(plant, blockTypes, 'produce_oxygen') > 0) {
+              minDist = dist;
+              food = plant;
+            }
+          });
+          this.blockIndex.forEachNear(entity.x, entity.y, range, (block, dist) => {
+            if (block.free && dist < minDist && GRAZING_FUNCTIONS.includes(blockTypes[block.type].function)) {
+              minDist = dist;
+              food = block;
+              foodIsBlock = true;
+            }
+          });
+
+          if (food) {
+            const dx = food.x - entity.x;
+            const dy = food.y - entity.y;
+            const dist = Math.sqrt(dx * dx + dy * dy);
+            if (dist > 0) {
+              fx += (dx / dist) * 0.3 * movementMultiplier;
+              fy += (dy / dist) * 0.3 * movementMultiplier;
+            }
+
+            if (dist < traits.size + 3) {
+              const before = entity.energy;
+              if (foodIsBlock) {
+                entity.energy = Math.min(100, entity.energy + GRAZE_BLOCK_ENERGY);
+                food.free = false;
+                this.blockIndex.remove(food);
+                this.blocks.splice(this.blocks.indexOf(food), 1);
+                entity.eaten.push(food.type);
+              } else {
+                entity.energy = Math.min(100, entity.energy + Math.min(GRAZE_BITE, food.energy));
+                food.energy -= GRAZE_BITE;
+                this.ledger.energy('grazing', -GRAZE_BITE);
+                if (food.energy <= 0) {
+                  this.ledger.energy('grazing', -food.energy);
+                  if (this.killEntity(food) < i) i--;
+                }
+              }
+              this.ledger.energy('grazing', entity.energy - before);
+              entity.timeSinceFed = 0;
+            }
+          }
+        }
+
+        // Decomposers feed on the nearest corpse they can sense, breaking
+        // it down a block at a time
+        if (countFunction(entity, blockTypes, 'decompose') > 0) {
+          let closest = null, minDist = Infinity;
+          const range = Math.max(sight, smell, traits.size + CORPSE_RADIUS);
+
+          this.corpseIndex.forEachNear(entity.x, entity.y, range, (corpse, dist) => {
+            if (dist < minDist && corpse.blocks.length > 0) {
+              minDist = dist;
+              closest = corpse;
+            }
+          });
+
+          if (closest) {
+            const dx = closest.x - entity.x;
+            const dy = closest.y - entity.y;
+            if (minDist > 0) {
+              fx += (dx / minDist) * 0.3 * movementMultiplier;
+              fy += (dy / minDist) * 0.3 * movementMultiplier;
+            }
+
+            if (minDist < traits.size + CORPSE_RADIUS) {
+              this.decomposeBlock(closest);
+              const before = entity.energy;
+              entity.energy = Math.min(100, entity.energy + DECOMPOSE_ENERGY);
+              this.ledger.energy('decomposition', entity.energy - before);
+              entity.timeSinceFed = 0;
+            }
+          }
+        }
+
+        if (smell > 0) {
+          const [cx, cy] = this.chemotaxis(entity, smell, hasAerobic ? 'oxygen' : hasAquatic ? 'co2' : null);
+          fx += cx * movementMultiplier;
+          fy += cy * movementMultiplier;
+        }
+
+        // Random movement
+        fx += (this.random() - 0.5) * 0.08 * movementMultiplier;
+        fy += (this.random() - 0.5) * 0.08 * movementMultiplier;
+
+        entity.vx += fx * simSpeed;
+        entity.vy += fy * simSpeed;
+        entity.vx *= 0.96;
+        entity.vy *= 0.96;
+
+        const speed = Math.sqrt(entity.vx ** 2 + entity.vy ** 2);
+        const maxSpeed = traits.speed * simSpeed;
+        if (speed > maxSpeed) {
+          entity.vx = (entity.vx / speed) * maxSpeed;
+          entity.vy = (entity.vy / speed) * maxSpeed;
+        }
+
+        entity.x += entity.vx;
+        entity.y += entity.vy;
+
+        if (entity.x < 0) entity.x = width;
+        if (entity.x > width) entity.x = 0;
+        if (entity.y < 0) entity.y = height;
+        if (entity.y > height) entity.y = 0;
+      }
+
+      // Gas exchange
+      if (canBreathe) {
+        const chloroplasts = countFunction(entity, blockTypes, 'produce_oxygen');
+        const hasMitochondria = countFunction(entity, blockTypes, 'produce_co2') > 0;
+
+        if (hasAerobic) this.exchangeGas(cell, 'oxygen', -activeMetabolism * 2, 'respiration');
+        if (hasAquatic) this.exchangeGas(cell, 'co2', -activeMetabolism * 2, 'respiration');
+        if (hasMitochondria) this.exchangeGas(cell, 'co2', activeMetabolism * 3, 'respiration');
+
+        // Photosynthesis scales with light and, while active, feeds the cell
+        if (chloroplasts > 0) {
+          const light = this.lightAt(entity.x, entity.y);
+          this.exchangeGas(cell, 'oxygen', activeMetabolism * 3 * light, 'photosynthesis');
+          if (!entity.hibernating) {
+            const before = entity.energy;
+            entity.energy = Math.min(100, entity.energy + chloroplasts * PHOTOSYNTHESIS_ENERGY * light);
+            this.ledger.energy('photosynthesis', entity.energy - before);
+            if (light > PHOTOSYNTHESIS_FED_LIGHT) {
+              entity.timeSinceFed = 0;
+            }
+          }
+        }
+
+        entity.energy -= activeMetabolism;
+        this.ledger.energy('respiration', -activeMetabolism);
+      } else {
+        entity.energy -= activeMetabolism * 2;
+        this.ledger.energy('respiration', -activeMetabolism * 2);
+      }
+
+      entity.timeSinceFed++;
+
+      // Reproduction. In a closed system the offspring's blocks must come
+      // from somewhere, and without them there is no offspring.
+      if (entity.energy > traits.reproductionThreshold && entity.timeSinceFed < 60 && this.random() < 0.002) {
+        const { blockTypes, ...inherited } = mutateOffspring(entity, this.random, this.ruleset);
+        const { closedSystem } = this.params;
+        if (!closedSystem || this.takeOffspringBlocks(entity, blockTypes)) {
+          const child = this.createOrganism(
+            this.classify(blockTypes),
+            entity.x + (this.random() - 0.5) * 20,
+            entity.y + (this.random() - 0.5) * 20,
+            blockTypes,
+            { ...inherited, energy: 60, parentId: entity.id, generation: entity.generation + 1 }
+          );
+          this.ledger.energy('reproduction', child.energy + 50 - entity.energy);
+          if (!closedSystem) {
+            for (let type of blockTypes) {
+              this.ledger.blocks('reproduction', type, 1);
+            }
+          }
+          this.emit('entityBorn', child.x, child.y, { id: child.id, parentId: entity.id, archetype: child.type });
+          entity.energy = 50;
+        }
+      }
+
+      entity.age++;
+
+      if (entity.timeSinceFed > entity.starvationResistance && entity.energy <= 10) {
+        this.ledger.energy('starvation', -entity.energy);
+        this.emit('starved', entity.x, entity.y, { id: entity.id, archetype: entity.type });
+        this.killEntity(entity);
+      }
+    }
+
+    // Spontaneous block generation, which a closed system does without
+    if (!this.params.closedSystem && this.random() < 0.05) {
+      const blockKeys = Object.keys(blockTypes);
+      const block = this.addBlock(
+        blockKeys[Math.floor(this.random() * blockKeys.length)],
+        this.random() * width,
+        this.random() * height,
+        { vx: (this.random() - 0.5) * 0.2, vy: (this.random() - 0.5) * 0.2 }
+      );
+      this.ledger.blocks('spawn', block.type, 1);
+      this.emit('blockSpawned', block.x, block.y, { blockType: block.type });
+    }
+  }
+
+  // Find the blocks for an offspring among what the parent has eaten and
+  // then the free blocks within formation range of it, and take them.
+  // Takes nothing and returns false if any are missing.
+  takeOffspringBlocks(parent, blockTypes) {
+    const needed = {};
+    for (let type of blockTypes) needed[type] = (needed[type] || 0) + 1;
+
+    const eaten = [];
+    parent.eaten.forEach((type, i) => {
+      if (needed[type] > 0) {
+        needed[type]--;
+        eaten.push(i);
+      }
+    });
+    const free = [];
+    this.blockIndex.forEachNear(parent.x, parent.y, FORMATION_RANGE, (block) => {
+      if (block.free && needed[block.type] > 0) {
+        needed[block.type]--;
+        free.push(block);
+      }
+    });
+    if (Object.values(needed).some(count => count > 0)) return false;
+
+    for (let i = eaten.length - 1; i >= 0; i--) {
+      parent.eaten.splice(eaten[i], 1);
+    }
+    for (let block of free) {
+      block.free = false;
+      this.blockIndex.remove(block);
+      this.blocks.splice(this.blocks.indexOf(block), 1);
+    }
+    return true;
+  }
+
+  // Add gas to (or, for a negative amount, take it from) a field cell,
+  // never taking more than is there, and book it against a process
+  exchangeGas(cell, name, amount, process) {
+    const change = Math.max(amount, -cell[name]);
+    cell[name] += change;
+    this.ledger.gas(process, name, change);
+  }
+
+  // Fire the scenario's cull and bloom steps due this tick, in list order.
+  // Baselines need no action here; fieldSettings() reads them off the
+  // scenario.
+  runScenario() {
+    const { scenario, width, height } = this.params;
+    if (!scenario) return;
+
+    scenario.steps.forEach((step, index) => {
+      if (!firesAt(step, this.tick)) return;
+      let x = width / 2, y = height / 2;
+      if (step.action === 'cull') {
+        if (!this.archetypes[step.archetype]) return;
+        this.cull(step.archetype, step.fraction);
+      } else if (step.action === 'bloom') {
+        if (!this.ruleset.blockTypes[step.blockType]) return;
+        const region = step.region || { x: 0, y: 0, width, height };
+        this.bloom(step.blockType, step.count, region);
+        x = region.x + region.width / 2;
+        y = region.y + region.height / 2;
+      } else if (!this.params.channels.some(c => c.name === step.channel)) {
+        return;
+      }
+      this.emit('scenarioStep', x, y, { index, action: step.action, label: describeStep(step) });
+    });
+  }
+
+  // Kill a share of the living members of an archetype and its variants,
+  // picked at random. They leave corpses like any other death.
+  cull(archetype, fraction) {
+    const members = this.entities.filter(entity =>
+      entity.type === archetype || this.archetypes[entity.type].variantOf === archetype
+    );
+    let count = Math.round(members.length * fraction);
+    for (let i = members.length - 1; count > 0; i--, count--) {
+      const j = Math.floor(this.random() * (i + 1));
+      [members[i], members[j]] = [members[j], members[i]];
+      this.ledger.energy('intervention', -members[i].energy);
+      this.killEntity(members[i]);
+    }
+  }
+
+  // Scatter free blocks of one type evenly over a rectangle, wrapped into
+  // the world
+  bloom(type, count, region) {
+    const { width, height } = this.params;
+    this.ledger.blocks('intervention', type, count);
+    for (let i = 0; i < count; i++) {
+      this.addBlock(
+        type,
+        (((region.x + this.random() * region.width) % width) + width) % width,
+        (((region.y + this.random() * region.height) % height) + height) % height,
+        { vx: (this.random() - 0.5) * 0.2, vy: (this.random() - 0.5) * 0.2 }
+      );
+    }
+  }
+
+  // Interventions from the editing tools. They draw from the world's random
+  // stream like everything else, so a snapshot taken after one still replays.
+
+  // Scatter free blocks of one type within radius of a point
+  sprayBlocks(type, x, y, radius, count) {
+    if (!this.ruleset.blockTypes[type]) {
+      throw new Error(`Unknown block type: ${type}`);
+    }
+    const { width, height } = this.params;
+    this.ledger.blocks('intervention', type, count);
+    for (let i = 0; i < count; i++) {
+      const angle = this.random() * Math.PI * 2;
+      const dist = Math.sqrt(this.random()) * radius;
+      this.addBlock(
+        type,
+        (((x + Math.cos(angle) * dist) % width) + width) % width,
+        (((y + Math.sin(angle) * dist) % height) + height) % height,
+        { vx: (this.random() - 0.5) * 0.2, vy: (this.random() - 0.5) * 0.2 }
+      );
+    }
+  }
+
+  // Remove every free block and organism within radius of a point without
+  // releasing anything back into the world
+  erase(x, y, radius) {
+    const inside = (item) => Math.hypot(item.x - x, item.y - y) <= radius;
+    const removeBlocks = (types) => {
+      for (let type of types) this.ledger.blocks('intervention', type, -1);
+    };
+
+    this.blocks = this.blocks.filter(b => {
+      if (!(b.free && inside(b))) return true;
+      removeBlocks([b.type]);
+      return false;
+    });
+    this.corpses = this.corpses.filter(corpse => {
+      if (!inside(corpse)) return true;
+      removeBlocks(corpse.blocks);
+      return false;
+    });
+    this.entities = this.entities.filter(entity => {
+      if (!inside(entity)) return true;
+      this.lineage.died(entity, this.tick);
+      this.removeFromPopulation(entity);
+      removeBlocks(entity.cellBlocks.map(b => b.type));
+      removeBlocks(entity.eaten);
+      this.ledger.energy('intervention', -entity.energy);
+      return false;
+    });
+  }
+
+  // Raise (positive amount) or lower a chemical channel in the cells within
+  // radius of a point, most at the centre
+  adjustGas(gas, x, y, radius, amount) {
+    const channel = this.params.channels.find(c => c.name === gas);
+    if (!channel) {
+      throw new Error(`Unknown gas: ${gas}`);
+    }
+    const { gridCellSize } = this.params;
+    for (let row = 0; row < this.gasGrid.length; row++) {
+      for (let col = 0; col < this.gasGrid[row].length; col++) {
+        const cx = (col + 0.5) * gridCellSize;
+        const cy = (row + 0.5) * gridCellSize;
+        const dist = Math.hypot(cx - x, cy - y);
+        if (dist > radius + gridCellSize / 2) continue;
+
+        const falloff = Math.max(0, 1 - dist / (radius + gridCellSize / 2));
+        const cell = this.gasGrid[row][col];
+        const before = cell[gas];
+        cell[gas] = Math.max(0, Math.min(channel.max, cell[gas] + amount * falloff));
+        this.ledger.gas('intervention', gas, cell[gas] - before);
+      }
+    }
+  }
+
+  // Nearest organism or free block within radius of a point. Organisms are
+  // measured from their edge, so clicking anywhere on one picks it.
+  pick(x, y, radius) {
+    let best = null, bestDist = radius;
+
+    for (let entity of this.entities) {
+      const dist = Math.max(0, Math.hypot(entity.x - x, entity.y - y) - entity.traits.size);
+      if (dist <= bestDist) {
+        best = { entity };
+        bestDist = dist;
+      }
+    }
+    for (let block of this.blocks) {
+      if (!block.free) continue;
+      const dist = Math.hypot(block.x - x, block.y - y);
+      if (dist < bestDist) {
+        best = { block };
+        bestDist = dist;
+      }
+    }
+    return best;
+  }
+
+  // Plain-data view of one organism for the inspector
+  describeEntity(entity) {
+    const archetype = this.archetypes[entity.type];
+    const cell = this.cellAt(entity.x, entity.y);
+    const { hasAerobic, hasAquatic, canBreathe } = cell
+      ? this.respiration(entity, cell)
+      : { hasAerobic: false, hasAquatic: false, canBreathe: false };
+
+    return {
+      kind: 'entity',
+      id: entity.id,
+      type: entity.type,
+      name: archetype.name,
+      color: archetype.color,
+      variantOf: archetype.variantOf || null,
+      parentId: entity.parentId,
+      generation: entity.generation,
+      birthTick: entity.birthTick,
+      x: entity.x,
+      y: entity.y,
+      energy: entity.energy,
+      age: entity.age,
+      timeSinceFed: entity.timeSinceFed,
+      starvationResistance: entity.starvationResistance,
+      metabolismRate: entity.metabolismRate,
+      hibernating: entity.hibernating,
+      breathes: hasAerobic ? 'oxygen' : hasAquatic ? 'co2' : null,
+      canBreathe,
+      medium: this.mediumAt(entity.x, entity.y).name,
+      gas: cell ? { ...cell } : null,
+      traits: { ...entity.traits },
+      senses: this.senses(entity),
+      cellBlocks: entity.cellBlocks.map(b => b.type),
+      eaten: entity.eaten.length
+    };
+  }
+
+  // Plain-data view of one free block for the inspector
+  describeBlock(block) {
+    const { color, symbol, function: fn } = this.ruleset.blockTypes[block.type];
+    return {
+      kind: 'block',
+      type: block.type,
+      color,
+      symbol,
+      function: fn,
+      x: block.x,
+      y: block.y,
+      vx: block.vx,
+      vy: block.vy,
+      age: block.age
+    };
+  }
+
+  getStats() {
+    const entities = this.entities;
+    const typeCounts = {};
+    const typeStats = {};
+    let hibernating = 0, totalEnergy = 0, totalAge = 0;
+
+    for (let e of entities) {
+      typeCounts[e.type] = (typeCounts[e.type] || 0) + 1;
+      if (e.hibernating) hibernating++;
+      totalEnergy += e.energy;
+      totalAge += e.age;
+
+      if (!typeStats[e.type]) {
+        typeStats[e.type] = { count: 0, avgEnergy: 0, avgAge: 0, avgStarvation: 0, avgMetabolism: 0 };
+      }
+
+      typeStats[e.type].count++;
+      typeStats[e.type].avgEnergy += e.energy;
+      typeStats[e.type].avgAge += e.age;
+      typeStats[e.type].avgStarvation += e.starvationResistance;
+      typeStats[e.type].avgMetabolism += e.metabolismRate;
+    }
+
+    for (let type in typeStats) {
+      const count = typeStats[type].count;
+      typeStats[type].avgEnergy = (typeStats[type].avgEnergy / count).toFixed(1);
+      typeStats[type].avgAge = Math.floor(typeStats[type].avgAge / count);
+      typeStats[type].avgStarvation = Math.floor(typeStats[type].avgStarvation / count);
+      typeStats[type].avgMetabolism = (typeStats[type].avgMetabolism / count).toFixed(3);
+    }
+
+    // Display info for every type present, including evolved variants
+    const archetypes = {};
+    for (let type in typeCounts) {
+      const { name, color, variantOf } = this.archetypes[type];
+      archetypes[type] = { name, color, variantOf };
+    }
+
+    return {
+      ...typeCounts,
+      typeStats,
+      archetypes,
+      tick: this.tick,
+      light: this.currentLight(),
+      blocks: this.blocks.filter(b => b.free).length,
+      detritus: this.corpses.reduce((sum, corpse) => sum + corpse.blocks.length, 0),
+      hibernating,
+      totalOrganisms: entities.length,
+      avgEnergy: entities.length > 0 ? (totalEnergy / entities.length).toFixed(1) : 0,
+      avgAge: entities.length > 0 ? Math.floor(totalAge / entities.length) : 0
+    };
+  }
+}
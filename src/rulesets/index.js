@@ -0,0 +1,9 @@
+// Rulesets shipped with the app, keyed by the id the panel selects them by
+
+import classic from './classic.json' with { type: 'json' };
+import permissive from './permissive.json' with { type: 'json' };
+import pond from './pond.json' with { type: 'json' };
+
+export const BUNDLED_RULESETS = { classic, permissive, pond };
+
+export const DEFAULT_RULESET_ID = 'classic';
@@ -0,0 +1,165 @@
+// UI-thread handle on the simulation worker. Wraps the request/reply
+// protocol in promises and keeps the most recent render frame.
+
+export class SimulationClient {
+  // `ruleset` is raw ruleset data; the worker falls back to the default one
+  constructor(params, ruleset) {
+    this.worker = new Worker(new URL('./simulation.worker.js', import.meta.url), { type: 'module' });
+    this.worker.onmessage = ({ data }) => this.handleReply(data);
+    this.pending = new Map();
+    this.nextId = 1;
+
+    // Latest frame from the worker, or null until the first one arrives
+    this.frame = null;
+    // Mirror of the world's params as of the last init, reset or load
+    this.params = { ...params };
+    // The world's ruleset and its formation warnings, once known
+    this.ruleset = null;
+
+    this.ready = this.request('init', { params, ruleset }).then(result => {
+      this.params = result.params;
+      this.ruleset = result.ruleset;
+      return result;
+    });
+  }
+
+  request(type, payload = {}) {
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject });
+      this.worker.postMessage({ id, type, ...payload });
+    });
+  }
+
+  handleReply({ id, result, frame, error }) {
+    const pending = this.pending.get(id);
+    if (!pending) return;
+    this.pending.delete(id);
+
+    if (frame) {
+      this.frame = frame;
+    }
+    if (error) {
+      pending.reject(new Error(error));
+    } else {
+      pending.resolve(result);
+    }
+  }
+
+  step(count) {
+    return this.request('step', { count });
+  }
+
+  runFor(budgetMs) {
+    return this.request('runFor', { budgetMs });
+  }
+
+  setParams(params) {
+    Object.assign(this.params, params);
+    return this.request('setParams', { params });
+  }
+
+  async reset(params = {}) {
+    Object.assign(this.params, params);
+    const result = await this.request('reset', { params });
+    this.params = result.params;
+  }
+
+  // Switches chemistry and starts a new run. Rejects, leaving the world as it
+  // was, if the ruleset fails validation.
+  async setRuleset(ruleset) {
+    const result = await this.request('setRuleset', { ruleset });
+    this.params = result.params;
+    this.ruleset = result.ruleset;
+    return result.ruleset;
+  }
+
+  // Applies an edited ruleset to the running world without a reset
+  async updateRuleset(ruleset) {
+    const result = await this.request('updateRuleset', { ruleset });
+    this.ruleset = result.ruleset;
+    return result.ruleset;
+  }
+
+  resize(width, height) {
+    Object.assign(this.params, { width, height });
+    return this.request('resize', { width, height });
+  }
+
+  getStats() {
+    return this.request('getStats');
+  }
+
+  getHistory(since, epoch) {
+    return this.request('getHistory', { since, epoch });
+  }
+
+  getEvents(since, epoch) {
+    return this.request('getEvents', { since, epoch });
+  }
+
+  // founderId picks the lineage whose family tree to include, or null
+  getLineage(founderId) {
+    return this.request('getLineage', { founderId });
+  }
+
+  getLedger() {
+    return this.request('getLedger');
+  }
+
+  // Editing tools; each resolves once the change is in the latest frame
+  sprayBlocks(blockType, x, y, radius, count) {
+    return this.request('sprayBlocks', { blockType, x, y, radius, count });
+  }
+
+  addEntity(archetype, x, y) {
+    return this.request('addEntity', { archetype, x, y });
+  }
+
+  erase(x, y, radius) {
+    return this.request('erase', { x, y, radius });
+  }
+
+  adjustGas(gas, x, y, radius, amount) {
+    return this.request('adjustGas', { gas, x, y, radius, amount });
+  }
+
+  paintTerrain(medium, x, y, radius) {
+    return this.request('paintTerrain', { medium, x, y, radius });
+  }
+
+  // Picks the organism or free block nearest a world position and resolves
+  // with its inspector view, or null if nothing is within radius
+  pick(x, y, radius) {
+    return this.request('pick', { x, y, radius });
+  }
+
+  // Current inspector view of the last pick
+  inspect() {
+    return this.request('inspect');
+  }
+
+  clearInspection() {
+    return this.request('clearInspection');
+  }
+
+  createSnapshot(view) {
+    return this.request('createSnapshot', { view });
+  }
+
+  // Resolves with the view state stored alongside the snapshot
+  async loadSnapshot(snapshot) {
+    const result = await this.request('loadSnapshot', { snapshot });
+    this.params = result.params;
+    this.ruleset = result.ruleset;
+    return result.view;
+  }
+
+  terminate() {
+    this.worker.terminate();
+    for (let { reject } of this.pending.values()) {
+      reject(new Error('Simulation worker terminated'));
+    }
+    this.pending.clear();
+  }
+}
@@ -0,0 +1,122 @@
+// Fixed-timestep driver for the simulation. Ticks advance at a steady rate
+// independent of the display refresh rate, never overlap (each batch is
+// awaited before the next is requested), and every setting is read through a
+// callback so the loop always sees live UI state rather than a closure copy.
+//
+// The ticks themselves run wherever `simulation` runs them: it needs
+// step(count) and runFor(budgetMs), both returning promises.
+
+export const TICK_INTERVAL_MS = 1000 / 60;
+
+// Ticks-per-frame multipliers offered in the panel. MAX_SPEED ticks for as
+// long as a frame allows and skips rendering.
+export const MAX_SPEED = Infinity;
+export const SPEED_MULTIPLIERS = [1, 4, 16, MAX_SPEED];
+
+// Share of each frame spent ticking at MAX_SPEED, leaving room for input
+const MAX_SPEED_BUDGET_MS = 12;
+
+// Longest frame gap fed into the accumulator; anything beyond this (a
+// background tab, a debugger pause) is dropped instead of replayed
+const MAX_FRAME_TIME_MS = 250;
+
+export class SimulationLoop {
+  constructor({
+    simulation,
+    render,
+    publish,
+    isRunning,
+    getSpeed = () => 1,
+    maxTicksPerFrame = 8,
+    publishInterval = 250
+  }) {
+    this.simulation = simulation;
+    this.render = render;
+    this.publish = publish;
+    this.isRunning = isRunning;
+    this.getSpeed = getSpeed;
+    this.maxTicksPerFrame = maxTicksPerFrame;
+    this.publishInterval = publishInterval;
+
+    this.frameId = null;
+    this.accumulator = 0;
+    this.lastFrameTime = 0;
+    this.lastPublishTime = 0;
+    this.busy = false;
+
+    this.onFrame = this.onFrame.bind(this);
+  }
+
+  start() {
+    if (this.frameId !== null) return;
+    this.lastFrameTime = performance.now();
+    this.frameId = requestAnimationFrame(this.onFrame);
+  }
+
+  stop() {
+    if (this.frameId !== null) {
+      cancelAnimationFrame(this.frameId);
+      this.frameId = null;
+    }
+  }
+
+  // Run ticks one after another; callers may invoke this while paused
+  async runTicks(count) {
+    if (this.busy) return false;
+    this.busy = true;
+    try {
+      await this.simulation.step(count);
+    } finally {
+      this.busy = false;
+    }
+    return true;
+  }
+
+  // Run ticks back to back until the time budget is used up
+  async runFor(budgetMs) {
+    if (this.busy) return;
+    this.busy = true;
+    try {
+      await this.simulation.runFor(budgetMs);
+    } finally {
+      this.busy = false;
+    }
+  }
+
+  onFrame(now) {
+    this.frameId = requestAnimationFrame(this.onFrame);
+
+    const elapsed = Math.min(now - this.lastFrameTime, MAX_FRAME_TIME_MS);
+    this.lastFrameTime = now;
+
+    const running = this.isRunning();
+    const speed = this.getSpeed();
+
+    if (running && speed === MAX_SPEED) {
+      this.accumulator = 0;
+      this.runFor(MAX_SPEED_BUDGET_MS).catch(error => console.warn('Simulation tick failed:', error));
+    } else if (running) {
+      // Each fixed interval of real time owes `speed` ticks
+      this.accumulator += elapsed * speed;
+    } else {
+      this.accumulator = 0;
+    }
+
+    // A tick batch still in flight keeps its time owed in the accumulator
+    if (!this.busy && this.accumulator >= TICK_INTERVAL_MS) {
+      const due = Math.floor(this.accumulator / TICK_INTERVAL_MS);
+      const count = Math.min(due, this.maxTicksPerFrame * speed);
+      this.accumulator = count < due ? 0 : this.accumulator - count * TICK_INTERVAL_MS;
+      this.runTicks(count).catch(error => console.warn('Simulation tick failed:', error));
+    }
+
+    if (!running || speed !== MAX_SPEED) {
+      this.render();
+    }
+
+    if (now - this.lastPublishTime >= this.publishInterval) {
+      this.lastPublishTime = now;
+      this.publish();
+    }
+  }
+}
@@ -0,0 +1,221 @@
+// Dedicated worker that owns the World and runs every tick off the main
+// thread. Requests arrive as { id, type, ...payload } and are handled strictly
+// one at a time; each reply echoes the id, and requests that change what is
+// on screen also carry a freshly encoded render frame.
+
+import { WebGPUCompute } from './webgpu-compute.js';
+import { World } from './engine/world.js';
+import { validateRuleset } from './engine/ruleset.js';
+import { createSnapshot, loadSnapshot } from './engine/snapshot.js';
+import { encodeFrame, frameTransferables } from './engine/frame.js';
+
+let world = null;
+let gpu = null;
+// Organism or free block shown in the inspector, as { entity } or { block }
+let inspected = null;
+
+// Inspector view of the picked object, or { gone: true } once it has died or
+// been absorbed into an organism
+const describeInspected = () => {
+  if (!inspected) return null;
+  const { entity, block } = inspected;
+  if (entity) {
+    return world.entities.includes(entity) ? world.describeEntity(entity) : { kind: 'entity', id: entity.id, gone: true };
+  }
+  return block.free && world.blocks.includes(block) ? world.describeBlock(block) : { kind: 'block', gone: true };
+};
+
+// The world's current ruleset and its formation warnings
+const rulesetInfo = () => ({
+  ruleset: world.ruleset,
+  warnings: validateRuleset(world.ruleset).warnings
+});
+
+const handlers = {
+  async init({ params, ruleset }) {
+    world = new World(params, ruleset);
+    world.logEvents();
+
+    const compute = new WebGPUCompute();
+    if (await compute.initialize()) {
+      gpu = compute;
+    }
+    return { acceleration: gpu ? 'webgpu' : 'cpu', params: { ...world.params }, ruleset: rulesetInfo() };
+  },
+
+  async step({ count }) {
+    for (let i = 0; i < count; i++) {
+      await world.stepAsync(gpu);
+    }
+  },
+
+  // Tick back to back until the time budget is used up
+  async runFor({ budgetMs }) {
+    const start = performance.now();
+    do {
+      await world.stepAsync(gpu);
+    } while (performance.now() - start < budgetMs);
+  },
+
+  setParams({ params }) {
+    world.setParams(params);
+  },
+
+  reset({ params }) {
+    world.setParams(params);
+    world.reset();
+    return { params: { ...world.params } };
+  },
+
+  setRuleset({ ruleset }) {
+    world.setRuleset(ruleset);
+    return { params: { ...world.params }, ruleset: rulesetInfo() };
+  },
+
+  updateRuleset({ ruleset }) {
+    world.updateRuleset(ruleset);
+    return { ruleset: rulesetInfo() };
+  },
+
+  resize({ width, height }) {
+    if (world.params.width !== width || world.params.height !== height) {
+      world.resize(width, height);
+    }
+  },
+
+  getStats() {
+    return world.getStats();
+  },
+
+  // History samples the caller has not seen yet. A caller still holding an
+  // older epoch's series gets the whole current one instead.
+  getHistory({ since, epoch }) {
+    const history = world.history;
+    const fresh = epoch !== history.epoch;
+    const samples = fresh ? history.samples : history.since(since);
+
+    const archetypes = {};
+    for (let sample of samples) {
+      for (let type in sample.archetypes) {
+        if (!archetypes[type] && world.archetypes[type]) {
+          const { name, color } = world.archetypes[type];
+          archetypes[type] = { name, color };
+        }
+      }
+    }
+    return { epoch: history.epoch, fresh, samples, archetypes };
+  },
+
+  // Events the caller has not seen yet, or the whole current log if the
+  // caller holds an older epoch's
+  getEvents({ since, epoch }) {
+    const log = world.eventLog;
+    const fresh = epoch !== log.epoch;
+    const events = log.since(fresh ? -1 : since);
+
+    const archetypes = {};
+    for (let event of events) {
+      for (let type of [event.archetype, event.predatorArchetype, event.preyArchetype]) {
+        if (type && !archetypes[type] && world.archetypes[type]) {
+          const { name, color } = world.archetypes[type];
+          archetypes[type] = { name, color };
+        }
+      }
+    }
+    return { epoch: log.epoch, fresh, events, archetypes };
+  },
+
+  // Lineage summaries, plus the family tree of one surviving lineage
+  getLineage({ founderId }) {
+    const lineages = world.lineage.summaries();
+    const tree = founderId === null ? [] : world.lineage.tree(founderId);
+
+    const archetypes = {};
+    for (let { type } of [...lineages, ...tree]) {
+      if (!archetypes[type] && world.archetypes[type]) {
+        const { name, color } = world.archetypes[type];
+        archetypes[type] = { name, color };
+      }
+    }
+    return { tick: world.tick, lineages, tree, archetypes };
+  },
+
+  // Conservation ledger: totals, flows by process and anything unaccounted
+  getLedger() {
+    return world.ledger.report();
+  },
+
+  // Editing tools
+  sprayBlocks({ blockType, x, y, radius, count }) {
+    world.sprayBlocks(blockType, x, y, radius, count);
+  },
+
+  addEntity({ archetype, x, y }) {
+    world.addEntity(archetype, x, y);
+  },
+
+  erase({ x, y, radius }) {
+    world.erase(x, y, radius);
+  },
+
+  adjustGas({ gas, x, y, radius, amount }) {
+    world.adjustGas(gas, x, y, radius, amount);
+  },
+
+  paintTerrain({ medium, x, y, radius }) {
+    world.paintTerrain(medium, x, y, radius);
+  },
+
+  // Select whatever is nearest the point for inspection
+  pick({ x, y, radius }) {
+    inspected = world.pick(x, y, radius);
+    return describeInspected();
+  },
+
+  inspect() {
+    return describeInspected();
+  },
+
+  clearInspection() {
+    inspected = null;
+  },
+
+  createSnapshot({ view }) {
+    return createSnapshot(world, view);
+  },
+
+  loadSnapshot({ snapshot }) {
+    const view = loadSnapshot(world, snapshot);
+    return { view, params: { ...world.params }, ruleset: rulesetInfo() };
+  }
+};
+
+// Requests whose reply includes a new frame
+const FRAME_REQUESTS = new Set([
+  'init', 'step', 'runFor', 'reset', 'setRuleset', 'updateRuleset', 'resize', 'loadSnapshot',
+  'sprayBlocks', 'addEntity', 'erase', 'adjustGas', 'paintTerrain'
+]);
+
+const handle = async ({ id, type, ...payload }) => {
+  try {
+    const handler = handlers[type];
+    if (!handler) {
+      throw new Error(`Unknown simulation request: ${type}`);
+    }
+
+    const result = await handler(payload);
+    if (FRAME_REQUESTS.has(type)) {
+      const frame = encodeFrame(world);
+      self.postMessage({ id, result, frame }, frameTransferables(frame));
+    } else {
+      self.postMessage({ id, result });
+    }
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
+
+let queue = Promise.resolve();
+self.onmessage = ({ data }) => {
+  queue = queue.then(() => handle(data));
+};
@@ -1,10 +1,16 @@
 // WebGPU compute shader utilities for particle simulation
 
+import { BOUNDARY_MODES } from './engine/chemical-field.js';
+
+const F32_MAX = 3.4e38;
+
 export class WebGPUCompute {
   constructor() {
     this.device = null;
     this.adapter = null;
     this.supported = false;
+    // Buffers and pipelines reused across ticks
+    this.buffers = {};
   }
 
   async initialize() {
@@ -37,11 +43,26 @@ export class WebGPUCompute {
       mappedAtCreation: true,
     });
     
-    new Float32Array(buffer.getMappedRange()).set(data);
+    // Copy through the same view type so integer fields keep their bit patterns
+    new data.constructor(buffer.getMappedRange()).set(data);
     buffer.unmap();
     return buffer;
   }
 
+  // Upload data into the named cached buffer, recreating it when it is too
+  // small (block counts and grid sizes change between ticks)
+  writeBuffer(name, data, usage) {
+    const existing = this.buffers[name];
+    if (existing && existing.size >= data.byteLength) {
+      this.device.queue.writeBuffer(existing, 0, data);
+      return existing;
+    }
+
+    if (existing) existing.destroy();
+    this.buffers[name] = this.createBuffer(data, usage);
+    return this.buffers[name];
+  }
+
   async readBuffer(buffer, size) {
     const readBuffer = this.device.createBuffer({
       size: size,
@@ -68,7 +89,9 @@ export class WebGPUCompute {
         type: u32,
         free: u32,
         age: u32,
-        padding: u32,
+        // 1 when the world's random stream picked this block to feel
+        // attraction this tick
+        attract: u32,
       }
 
       struct Params {
@@ -77,11 +100,21 @@ export class WebGPUCompute {
         canvasHeight: f32,
         speed: f32,
         attractionRange: f32,
-        deltaTime: f32,
+        friction: f32,
+        cellSize: f32,
+        gridCols: u32,
+        gridRows: u32,
       }
 
-      @group(0) @binding(0) var<storage, read_write> particles: array<Particle>;
-      @group(0) @binding(1) var<uniform> params: Params;
+      // Every block reads the positions from the start of the tick and
+      // writes its own result, so no invocation sees another half-updated
+      @group(0) @binding(0) var<storage, read> particlesIn: array<Particle>;
+      @group(0) @binding(1) var<storage, read_write> particlesOut: array<Particle>;
+      @group(0) @binding(2) var<uniform> params: Params;
+      // Free blocks filed by grid cell: the indices of cell c's blocks are
+      // cellIndices[cellStart[c]] up to cellIndices[cellStart[c + 1]]
+      @group(0) @binding(3) var<storage, read> cellStart: array<u32>;
+      @group(0) @binding(4) var<storage, read> cellIndices: array<u32>;
 
       @compute @workgroup_size(64)
       fn main(@builtin(global_invocation_id) global_id: vec3<u32>) {
@@ -90,39 +123,47 @@ export class WebGPUCompute {
           return;
         }
 
-        var particle = particles[index];
+        var particle = particlesIn[index];
         if (particle.free == 0u) {
+          particlesOut[index] = particle;
           return;
         }
 
-        // Attraction to nearby particles (with probability)
-        // Using multiplicative hash with golden ratio constant for pseudo-random sampling
-        let hash = (index * 2654435761u) % 100u;
-        if (hash < 2u) {
-          for (var i = 0u; i < params.numParticles; i++) {
-            if (i == index) {
-              continue;
-            }
-            
-            let other = particles[i];
-            if (other.free == 0u) {
-              continue;
-            }
-
-            let dx = other.pos.x - particle.pos.x;
-            let dy = other.pos.y - particle.pos.y;
-            let dist = sqrt(dx * dx + dy * dy);
-
-            if (dist < params.attractionRange && dist > 0.0) {
-              particle.vel.x += (dx / dist) * 0.01;
-              particle.vel.y += (dy / dist) * 0.01;
+        if (particle.attract != 0u) {
+          // Only the cells that overlap the attraction range
+          let radius = params.attractionRange;
+          let maxCol = i32(params.gridCols) - 1;
+          let maxRow = i32(params.gridRows) - 1;
+          let col0 = clamp(i32(floor((particle.pos.x - radius) / params.cellSize)), 0, maxCol);
+          let col1 = clamp(i32(floor((particle.pos.x + radius) / params.cellSize)), 0, maxCol);
+          let row0 = clamp(i32(floor((particle.pos.y - radius) / params.cellSize)), 0, maxRow);
+          let row1 = clamp(i32(floor((particle.pos.y + radius) / params.cellSize)), 0, maxRow);
+
+          for (var row = row0; row <= row1; row++) {
+            for (var col = col0; col <= col1; col++) {
+              let cell = u32(row) * params.gridCols + u32(col);
+              for (var k = cellStart[cell]; k < cellStart[cell + 1u]; k++) {
+                let i = cellIndices[k];
+                if (i == index) {
+                  continue;
+                }
+
+                let other = particlesIn[i];
+                let dx = other.pos.x - particle.pos.x;
+                let dy = other.pos.y - particle.pos.y;
+                let dist = sqrt(dx * dx + dy * dy);
+
+                if (dist < radius && dist > 0.0) {
+                  particle.vel.x += (dx / dist) * 0.01;
+                  particle.vel.y += (dy / dist) * 0.01;
+                }
+              }
             }
           }
         }
 
-        // Apply friction
-        particle.vel.x *= 0.98;
-        particle.vel.y *= 0.98;
+        particle.vel.x *= params.friction;
+        particle.vel.y *= params.friction;
 
         // Update position
         particle.pos.x += particle.vel.x * params.speed;
@@ -143,7 +184,7 @@ export class WebGPUCompute {
         }
 
         particle.age++;
-        particles[index] = particle;
+        particlesOut[index] = particle;
       }
     `;
 
@@ -156,13 +197,28 @@ export class WebGPUCompute {
         {
           binding: 0,
           visibility: GPUShaderStage.COMPUTE,
-          buffer: { type: 'storage' },
+          buffer: { type: 'read-only-storage' },
         },
         {
           binding: 1,
           visibility: GPUShaderStage.COMPUTE,
+          buffer: { type: 'storage' },
+        },
+        {
+          binding: 2,
+          visibility: GPUShaderStage.COMPUTE,
           buffer: { type: 'uniform' },
         },
+        {
+          binding: 3,
+          visibility: GPUShaderStage.COMPUTE,
+          buffer: { type: 'read-only-storage' },
+        },
+        {
+          binding: 4,
+          visibility: GPUShaderStage.COMPUTE,
+          buffer: { type: 'read-only-storage' },
+        },
       ],
     });
 
@@ -181,25 +237,29 @@ export class WebGPUCompute {
     return { pipeline, bindGroupLayout };
   }
 
+  // Generic chemical field kernel. Channel settings and the boundary mode
+  // come in as buffers, so nothing here duplicates the CPU constants.
   createGasGridComputePipeline() {
     const shaderCode = `
-      struct GasCell {
-        oxygen: f32,
-        co2: f32,
+      struct Channel {
+        diffusion: f32,
+        decay: f32,
+        baseline: f32,
+        maxValue: f32,
       }
 
       struct Params {
         gridWidth: u32,
         gridHeight: u32,
+        channelCount: u32,
+        // Index into BOUNDARY_MODES: 0 closed, 1 wrap, 2 open
+        boundary: u32,
       }
 
-      // Diffusion constants
-      const CELL_RETENTION: f32 = 0.95;
-      const NEIGHBOR_INFLUENCE: f32 = 0.05;
-
-      @group(0) @binding(0) var<storage, read> gasGridIn: array<GasCell>;
-      @group(0) @binding(1) var<storage, read_write> gasGridOut: array<GasCell>;
+      @group(0) @binding(0) var<storage, read> gasGridIn: array<f32>;
+      @group(0) @binding(1) var<storage, read_write> gasGridOut: array<f32>;
       @group(0) @binding(2) var<uniform> params: Params;
+      @group(0) @binding(3) var<storage, read> channels: array<Channel>;
 
       @compute @workgroup_size(8, 8)
       fn main(@builtin(global_invocation_id) global_id: vec3<u32>) {
@@ -210,47 +270,43 @@ export class WebGPUCompute {
           return;
         }
 
-        let index = y * params.gridWidth + x;
-        var cell = gasGridIn[index];
-
-        var oxygenDiff = 0.0;
-        var co2Diff = 0.0;
-        var neighbors = 0.0;
-
-        // Diffusion with neighbors
-        for (var dy = -1; dy <= 1; dy++) {
-          for (var dx = -1; dx <= 1; dx++) {
-            if (dx == 0 && dy == 0) {
-              continue;
-            }
-
-            let nx = i32(x) + dx;
-            let ny = i32(y) + dy;
-
-            if (nx >= 0 && nx < i32(params.gridWidth) && ny >= 0 && ny < i32(params.gridHeight)) {
-              let nIndex = u32(ny) * params.gridWidth + u32(nx);
-              let neighbor = gasGridIn[nIndex];
-              oxygenDiff += neighbor.oxygen;
-              co2Diff += neighbor.co2;
-              neighbors += 1.0;
+        let width = i32(params.gridWidth);
+        let height = i32(params.gridHeight);
+        let index = (y * params.gridWidth + x) * params.channelCount;
+
+        for (var c = 0u; c < params.channelCount; c++) {
+          let channel = channels[c];
+          let current = gasGridIn[index + c];
+          var flow = 0.0;
+
+          for (var dy = -1; dy <= 1; dy++) {
+            for (var dx = -1; dx <= 1; dx++) {
+              if (dx == 0 && dy == 0) {
+                continue;
+              }
+
+              var nx = i32(x) + dx;
+              var ny = i32(y) + dy;
+              let inside = nx >= 0 && nx < width && ny >= 0 && ny < height;
+
+              if (!inside && params.boundary == 0u) {
+                continue;
+              }
+              if (!inside && params.boundary == 2u) {
+                flow += channel.baseline - current;
+              } else {
+                nx = (nx + width) % width;
+                ny = (ny + height) % height;
+                flow += gasGridIn[(u32(ny) * params.gridWidth + u32(nx)) * params.channelCount + c] - current;
+              }
             }
           }
-        }
 
-        if (neighbors > 0.0) {
-          cell.oxygen = cell.oxygen * CELL_RETENTION + (oxygenDiff / neighbors) * NEIGHBOR_INFLUENCE;
-          cell.co2 = cell.co2 * CELL_RETENTION + (co2Diff / neighbors) * NEIGHBOR_INFLUENCE;
+          // Pairwise exchange with each neighbour, as on the CPU
+          var value = current + flow * channel.diffusion / 8.0;
+          value = value + (channel.baseline - value) * channel.decay;
+          gasGridOut[index + c] = clamp(value, 0.0, channel.maxValue);
         }
-
-        // Equilibration toward 50
-        cell.oxygen = cell.oxygen + (50.0 - cell.oxygen) * 0.001;
-        cell.co2 = cell.co2 + (50.0 - cell.co2) * 0.001;
-
-        // Clamp values
-        cell.oxygen = clamp(cell.oxygen, 0.0, 100.0);
-        cell.co2 = clamp(cell.co2, 0.0, 100.0);
-
-        gasGridOut[index] = cell;
       }
     `;
 
@@ -275,6 +331,11 @@ export class WebGPUCompute {
           visibility: GPUShaderStage.COMPUTE,
           buffer: { type: 'uniform' },
         },
+        {
+          binding: 3,
+          visibility: GPUShaderStage.COMPUTE,
+          buffer: { type: 'read-only-storage' },
+        },
       ],
     });
 
@@ -293,6 +354,197 @@ export class WebGPUCompute {
     return { pipeline, bindGroupLayout };
   }
 
+  // Run one tick of block physics on the GPU and write the results back
+  // into the block objects. `attract` flags the blocks the world's random
+  // stream picked for attraction, `friction` is the medium's drag and
+  // `cellSize` the spacing of the neighbour grid, as in the CPU SpatialHash.
+  async updateBlocks(blocks, params, { attract, friction, cellSize }) {
+    const buffers = this.buffers;
+    if (blocks.length === 0) return;
+
+    // Prepare particle data for GPU
+    // Layout must match shader struct: pos(vec2), vel(vec2), type(u32), free(u32), age(u32), attract(u32)
+    const particleData = new Float32Array(blocks.length * 8);
+    const particleInts = new Uint32Array(particleData.buffer);
+    for (let i = 0; i < blocks.length; i++) {
+      const block = blocks[i];
+      particleData[i * 8 + 0] = block.x;
+      particleData[i * 8 + 1] = block.y;
+      particleData[i * 8 + 2] = block.vx;
+      particleData[i * 8 + 3] = block.vy;
+      particleInts[i * 8 + 4] = 0; // type encoded as number (placeholder for future use)
+      particleInts[i * 8 + 5] = block.free ? 1 : 0; // free status
+      particleInts[i * 8 + 6] = block.age;
+      particleInts[i * 8 + 7] = attract[i] ? 1 : 0;
+    }
+
+    const particleUsage = GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST;
+    this.writeBuffer('particleInBuffer', particleData, particleUsage);
+    this.writeBuffer('particleOutBuffer', particleData, particleUsage);
+
+    // File the free blocks by grid cell with a counting sort, so each block
+    // only visits the cells within attraction range of it
+    const cols = Math.max(1, Math.ceil(params.width / cellSize));
+    const rows = Math.max(1, Math.ceil(params.height / cellSize));
+    const cellOf = (block) => {
+      const col = Math.max(0, Math.min(cols - 1, Math.floor(block.x / cellSize)));
+      const row = Math.max(0, Math.min(rows - 1, Math.floor(block.y / cellSize)));
+      return row * cols + col;
+    };
+    const cellStart = new Uint32Array(cols * rows + 1);
+    for (let block of blocks) {
+      if (block.free) cellStart[cellOf(block) + 1]++;
+    }
+    for (let c = 0; c < cols * rows; c++) {
+      cellStart[c + 1] += cellStart[c];
+    }
+    // Storage buffers cannot be empty
+    const cellIndices = new Uint32Array(Math.max(1, cellStart[cols * rows]));
+    const next = cellStart.slice(0, cols * rows);
+    for (let i = 0; i < blocks.length; i++) {
+      if (blocks[i].free) cellIndices[next[cellOf(blocks[i])]++] = i;
+    }
+    this.writeBuffer('cellStartBuffer', cellStart, GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST);
+    this.writeBuffer('cellIndicesBuffer', cellIndices, GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST);
+
+    // Params struct mixes u32 and f32 fields; padded to a multiple of 16 bytes
+    const paramsData = new Float32Array([
+      0,
+      params.width,
+      params.height,
+      params.speed,
+      params.attractionRange,
+      friction,
+      cellSize,
+      0,
+      0,
+      0,
+      0,
+      0,
+    ]);
+    const paramsInts = new Uint32Array(paramsData.buffer);
+    paramsInts[0] = blocks.length;
+    paramsInts[7] = cols;
+    paramsInts[8] = rows;
+
+    this.writeBuffer('paramsBuffer', paramsData, GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST);
+
+    // Create compute pipeline if not exists
+    if (!buffers.particlePipeline) {
+      const { pipeline, bindGroupLayout } = this.createParticleComputePipeline();
+      buffers.particlePipeline = pipeline;
+      buffers.particleBindGroupLayout = bindGroupLayout;
+    }
+
+    // Create bind group
+    const bindGroup = this.device.createBindGroup({
+      layout: buffers.particleBindGroupLayout,
+      entries: [
+        { binding: 0, resource: { buffer: buffers.particleInBuffer } },
+        { binding: 1, resource: { buffer: buffers.particleOutBuffer } },
+        { binding: 2, resource: { buffer: buffers.paramsBuffer } },
+        { binding: 3, resource: { buffer: buffers.cellStartBuffer } },
+        { binding: 4, resource: { buffer: buffers.cellIndicesBuffer } },
+      ],
+    });
+
+    // Execute compute shader
+    const commandEncoder = this.device.createCommandEncoder();
+    const passEncoder = commandEncoder.beginComputePass();
+    passEncoder.setPipeline(buffers.particlePipeline);
+    passEncoder.setBindGroup(0, bindGroup);
+    passEncoder.dispatchWorkgroups(Math.ceil(blocks.length / 64));
+    passEncoder.end();
+    this.device.queue.submit([commandEncoder.finish()]);
+
+    // Read results back
+    const resultData = await this.readBuffer(buffers.particleOutBuffer, particleData.byteLength);
+
+    // Update blocks with GPU results
+    const resultInts = new Uint32Array(resultData.buffer);
+    for (let i = 0; i < blocks.length; i++) {
+      blocks[i].x = resultData[i * 8 + 0];
+      blocks[i].y = resultData[i * 8 + 1];
+      blocks[i].vx = resultData[i * 8 + 2];
+      blocks[i].vy = resultData[i * 8 + 3];
+      // type at index 4, free at index 5 (matches shader struct)
+      blocks[i].free = resultInts[i * 8 + 5] !== 0;
+      blocks[i].age = resultInts[i * 8 + 6];
+    }
+  }
+
+  // Run one tick of the chemical field on the GPU and write the results back
+  // into the grid cells. Channels and boundary mode come from the world params.
+  async updateGasGrid(gasGrid, { channels, boundary }) {
+    const buffers = this.buffers;
+    const rows = gasGrid.length;
+    const cols = gasGrid[0].length;
+    const stride = channels.length;
+
+    // Prepare field data, one float per channel per cell
+    const gasData = new Float32Array(rows * cols * stride);
+    for (let y = 0; y < rows; y++) {
+      for (let x = 0; x < cols; x++) {
+        const index = (y * cols + x) * stride;
+        channels.forEach(({ name }, c) => {
+          gasData[index + c] = gasGrid[y][x][name];
+        });
+      }
+    }
+
+    // Create or update buffers
+    const gasUsage = GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST;
+    this.writeBuffer('gasGridInBuffer', gasData, gasUsage);
+    this.writeBuffer('gasGridOutBuffer', gasData, gasUsage);
+
+    const gasParamsData = new Uint32Array([cols, rows, stride, BOUNDARY_MODES.indexOf(boundary)]);
+    this.writeBuffer('gasParamsBuffer', gasParamsData, GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST);
+
+    // An unbounded channel (closed system) is capped at the largest float
+    const channelData = new Float32Array(channels.flatMap(c => [c.diffusion, c.decay, c.baseline, Math.min(c.max, F32_MAX)]));
+    this.writeBuffer('gasChannelsBuffer', channelData, GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST);
+
+    // Create pipeline if not exists
+    if (!buffers.gasPipeline) {
+      const { pipeline, bindGroupLayout } = this.createGasGridComputePipeline();
+      buffers.gasPipeline = pipeline;
+      buffers.gasBindGroupLayout = bindGroupLayout;
+    }
+
+    // Create bind group
+    const bindGroup = this.device.createBindGroup({
+      layout: buffers.gasBindGroupLayout,
+      entries: [
+        { binding: 0, resource: { buffer: buffers.gasGridInBuffer } },
+        { binding: 1, resource: { buffer: buffers.gasGridOutBuffer } },
+        { binding: 2, resource: { buffer: buffers.gasParamsBuffer } },
+        { binding: 3, resource: { buffer: buffers.gasChannelsBuffer } },
+      ],
+    });
+
+    // Execute compute shader
+    const commandEncoder = this.device.createCommandEncoder();
+    const passEncoder = commandEncoder.beginComputePass();
+    passEncoder.setPipeline(buffers.gasPipeline);
+    passEncoder.setBindGroup(0, bindGroup);
+    passEncoder.dispatchWorkgroups(Math.ceil(cols / 8), Math.ceil(rows / 8));
+    passEncoder.end();
+    this.device.queue.submit([commandEncoder.finish()]);
+
+    // Read results back
+    const resultData = await this.readBuffer(buffers.gasGridOutBuffer, gasData.byteLength);
+
+    // Update the field with GPU results
+    for (let y = 0; y < rows; y++) {
+      for (let x = 0; x < cols; x++) {
+        const index = (y * cols + x) * stride;
+        channels.forEach(({ name }, c) => {
+          gasGrid[y][x][name] = resultData[index + c];
+        });
+      }
+    }
+  }
+
   dispose() {
     if (this.device) {
       this.device.destroy();
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createField, diffuseField, fieldTotals } from '../src/engine/chemical-field.js';
+import { MEDIA, LAND } from '../src/engine/terrain.js';
+
+const TICKS = 200;
+
+// The fastest channel allowed, with nothing to hold it in check: no decay
+// and no cap, as in a closed system
+const channels = [
+  { name: 'oxygen', diffusion: 1, decay: 0, baseline: 50, max: Infinity },
+  { name: 'co2', diffusion: 1, decay: 0, baseline: 50, max: Infinity }
+];
+
+// A checkerboard is the pattern an unstable step amplifies fastest
+const checkerboard = () => {
+  const grid = createField(400, 400, 40, channels);
+  grid.forEach((row, y) => row.forEach((cell, x) => {
+    cell.oxygen = (x + y) % 2 === 0 ? 100 : 0;
+    cell.co2 = x % 2 === 0 ? 100 : 0;
+  }));
+  return grid;
+};
+
+test('mixing on land at the highest diffusion stays bounded', () => {
+  const grid = checkerboard();
+  const start = fieldTotals(grid, channels);
+
+  for (let i = 0; i < TICKS; i++) {
+    diffuseField(grid, channels, 'closed', () => MEDIA[LAND].gasDiffusion);
+    for (let row of grid) {
+      for (let cell of row) {
+        assert.ok(cell.oxygen >= 0 && cell.oxygen <= 100, `oxygen left [0, 100]: ${cell.oxygen}`);
+        assert.ok(cell.co2 >= 0 && cell.co2 <= 100, `co2 left [0, 100]: ${cell.co2}`);
+      }
+    }
+  }
+  const end = fieldTotals(grid, channels);
+  for (let { name } of channels) {
+    assert.ok(Math.abs(end[name] - start[name]) <= 1e-6 * start[name], `${name} total went from ${start[name]} to ${end[name]}`);
+  }
+});
+
+test('mixing through an open boundary on land stays between the field and its baseline', () => {
+  const grid = checkerboard();
+
+  for (let i = 0; i < TICKS; i++) {
+    diffuseField(grid, channels, 'open', () => MEDIA[LAND].gasDiffusion);
+  }
+  for (let row of grid) {
+    for (let cell of row) {
+      assert.ok(cell.oxygen >= 0 && cell.oxygen <= 100);
+    }
+  }
+});
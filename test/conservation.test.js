@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { World } from '../src/engine/world.js';
+import { measureWorld } from '../src/engine/ledger.js';
+
+const TICKS = 3000;
+
+// Relative slack for floating point noise in gas and energy sums, as in the
+// ledger panel
+const TOLERANCE = 1e-6;
+
+// Decomposition turns blocks into other types, so matter is the block count
+const blockCount = (world) => Object.values(measureWorld(world).blocks).reduce((sum, count) => sum + count, 0);
+
+const closedWorld = () => {
+  const world = new World({ seed: 12345, closedSystem: true, initialBlocks: 3000 });
+  const archetypes = ['PHOTOSYNTHETIC_ALGAE', 'HERBIVORE_ZOOPLANKTON', 'PREDATORY_PROTOZOA', 'DECOMPOSER'];
+  archetypes.forEach((type, i) => {
+    for (let j = 0; j < 6; j++) {
+      world.addEntity(type, 100 + j * 120, 100 + i * 130);
+    }
+  });
+  // Dropping organisms in is an intervention; the books start after it
+  world.ledger.restart(world);
+  return world;
+};
+
+const assertBalanced = (amounts, totals, label) => {
+  for (let kind of ['blocks', 'gas']) {
+    for (let key in amounts[kind]) {
+      const scale = Math.max(1, Math.abs(totals[kind][key] || 0));
+      assert.ok(Math.abs(amounts[kind][key]) <= TOLERANCE * scale, `${label}: ${kind} ${key} off by ${amounts[kind][key]}`);
+    }
+  }
+  assert.ok(Math.abs(amounts.energy) <= TOLERANCE * Math.max(1, Math.abs(totals.energy)), `${label}: energy off by ${amounts.energy}`);
+};
+
+test('a closed system neither gains nor loses blocks', () => {
+  const world = closedWorld();
+  const start = blockCount(world);
+  let births = 0;
+  world.subscribe('entityBorn', () => births++);
+
+  for (let i = 0; i < TICKS; i++) {
+    world.step();
+    assert.equal(blockCount(world), start, `block count changed at tick ${world.tick}`);
+  }
+  // Reproduction must have happened for the run to prove anything about it
+  assert.ok(births > 0, 'no organism was born');
+});
+
+test('the ledger accounts for every change in a closed system', () => {
+  const world = closedWorld();
+
+  for (let i = 0; i < TICKS; i++) {
+    world.step();
+    const { last, totals } = world.ledger.report();
+    assertBalanced(last.unaccounted, totals, `tick ${world.tick}`);
+  }
+  const { cumulative, totals } = world.ledger.report();
+  assertBalanced(cumulative.unaccounted, totals, 'whole run');
+  assert.equal(cumulative.flows.spawn, undefined);
+  for (let name in cumulative.flows.equilibration?.gas) {
+    const scale = Math.max(1, totals.gas[name]);
+    assert.ok(Math.abs(cumulative.flows.equilibration.gas[name]) <= TOLERANCE * scale, `${name} leaked through equilibration`);
+  }
+});
@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { World } from '../src/engine/world.js';
+
+const TICKS = 1500;
+
+const run = (seed) => {
+  const world = new World({ seed, initialBlocks: 1500, historyInterval: 10 });
+  const archetypes = ['PHOTOSYNTHETIC_ALGAE', 'HERBIVORE_ZOOPLANKTON', 'PREDATORY_PROTOZOA', 'DECOMPOSER'];
+  archetypes.forEach((type, i) => {
+    for (let j = 0; j < 4; j++) {
+      world.addEntity(type, 150 + j * 150, 100 + i * 130);
+    }
+  });
+  for (let i = 0; i < TICKS; i++) {
+    world.step();
+  }
+  return world;
+};
+
+// Where everything is, to the last bit
+const positions = (world) => ({
+  entities: world.entities.map(e => [e.id, e.type, e.x, e.y, e.energy]),
+  blocks: world.blocks.map(b => [b.type, b.x, b.y, b.free])
+});
+
+test('the same seed replays the same history', () => {
+  const first = run(4242);
+  const second = run(4242);
+
+  assert.ok(first.history.samples.length > 100);
+  assert.deepEqual(second.history.samples, first.history.samples);
+  assert.deepEqual(positions(second), positions(first));
+  assert.equal(second.random.getState(), first.random.getState());
+});
+
+test('a different seed gives a different run', () => {
+  assert.notDeepEqual(positions(run(4243)), positions(run(4242)));
+});
@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventLog, latestOfEachType } from '../src/engine/event-log.js';
+
+test('a flood of one kind does not evict the others', () => {
+  const log = new EventLog(3);
+  log.record({ type: 'extinction', tick: 0 });
+  for (let tick = 1; tick <= 100; tick++) {
+    log.record({ type: 'blockSpawned', tick });
+  }
+
+  const events = log.since(-1);
+  assert.deepEqual(events.map(event => [event.type, event.tick]), [
+    ['extinction', 0], ['blockSpawned', 98], ['blockSpawned', 99], ['blockSpawned', 100]
+  ]);
+  assert.deepEqual(events.map(event => event.seq), [0, 98, 99, 100]);
+});
+
+test('since returns later events of every kind in order', () => {
+  const log = new EventLog(10);
+  ['starved', 'entityBorn', 'starved', 'predation', 'entityBorn'].forEach((type, tick) => log.record({ type, tick }));
+
+  assert.deepEqual(log.since(1).map(event => event.seq), [2, 3, 4]);
+  assert.deepEqual(log.since(4), []);
+
+  const epoch = log.epoch;
+  log.clear();
+  assert.notEqual(log.epoch, epoch);
+  assert.deepEqual(log.since(-1), []);
+});
+
+test('latestOfEachType trims each kind on its own', () => {
+  const events = ['a', 'b', 'a', 'a', 'b', 'a'].map((type, seq) => ({ type, seq }));
+  assert.deepEqual(latestOfEachType(events, 2).map(event => event.seq), [1, 3, 4, 5]);
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Lineage } from '../src/engine/lineage.js';
+import { World } from '../src/engine/world.js';
+
+const organism = (id, parentId = null, generation = 0) =>
+  ({ id, parentId, generation, type: 'GRAZER', x: 0, y: 0, metabolismRate: 0.1, starvationResistance: 1 });
+
+const ids = (lineage, founderId) => lineage.tree(founderId).map(record => record.id).sort((a, b) => a - b);
+
+test('dead branches without living descendants are dropped', () => {
+  const lineage = new Lineage();
+  // 1 -> 2 -> 4, and 1 -> 3 -> 5
+  lineage.born(organism(1), 0);
+  lineage.born(organism(2, 1, 1), 10);
+  lineage.born(organism(3, 1, 1), 20);
+  lineage.born(organism(4, 2, 2), 30);
+  lineage.born(organism(5, 3, 2), 40);
+
+  // Ancestors of living members stay, dead or not
+  lineage.died(organism(1), 50);
+  lineage.died(organism(2), 60);
+  assert.deepEqual(ids(lineage, 1), [1, 2, 3, 4, 5]);
+
+  // 4 leaves no one, so it goes, and takes its dead parent 2 with it
+  lineage.died(organism(4), 70);
+  assert.deepEqual(ids(lineage, 1), [1, 3, 5]);
+  assert.equal(lineage.records.size, 3);
+
+  const [summary] = lineage.summaries();
+  assert.equal(summary.living, 2);
+  assert.equal(summary.total, 5);
+});
+
+test('pruning carries on after a lineage is restored from JSON', () => {
+  const lineage = new Lineage();
+  lineage.born(organism(1), 0);
+  lineage.born(organism(2, 1, 1), 10);
+  lineage.born(organism(3, 2, 2), 20);
+  lineage.born(organism(4, 1, 1), 30);
+  lineage.died(organism(1), 40);
+  lineage.died(organism(2), 50);
+
+  const restored = Lineage.fromJSON(JSON.parse(JSON.stringify(lineage.toJSON())));
+  restored.died(organism(3), 60);
+  assert.deepEqual(ids(restored, 1), [1, 4]);
+
+  restored.died(organism(4), 70);
+  assert.equal(restored.records.size, 0);
+  assert.equal(restored.summaries()[0].extinctTick, 70);
+});
+
+test('a long run keeps records only for the living and their ancestors', () => {
+  const world = new World({ seed: 99, initialBlocks: 1500 });
+  for (let j = 0; j < 8; j++) {
+    world.addEntity('PHOTOSYNTHETIC_ALGAE', 150 + j * 70, 200);
+    world.addEntity('HERBIVORE_ZOOPLANKTON', 150 + j * 70, 400);
+  }
+  for (let i = 0; i < 2000; i++) {
+    world.step();
+  }
+
+  const { records } = world.lineage;
+  const living = new Set(world.entities.map(entity => entity.id));
+  const needed = new Set();
+  for (let id of living) {
+    for (let record = records.get(id); record && !needed.has(record.id); record = records.get(record.parentId)) {
+      needed.add(record.id);
+    }
+  }
+  assert.ok(living.size > 0);
+  assert.ok(world.nextId - 1 > records.size);
+  assert.deepEqual([...records.keys()].sort((a, b) => a - b), [...needed].sort((a, b) => a - b));
+});
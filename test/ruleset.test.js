@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateRuleset, loadRuleset } from '../src/engine/ruleset.js';
+import { BUNDLED_RULESETS } from '../src/rulesets/index.js';
+
+const minimal = () => ({
+  name: 'Minimal',
+  blockTypes: {
+    FOOD: { color: '#84cc16', symbol: 'F', function: 'energy_source' },
+    SHELL: { color: '#78716c', symbol: 'S', function: 'structure' },
+    FANG: { color: '#ef4444', symbol: 'V', function: 'eat_meat' }
+  },
+  compatibility: { FOOD: ['SHELL', 'FANG'], SHELL: ['FANG'] },
+  archetypes: {
+    GRAZER: {
+      name: 'Grazer', color: '#22c55e', shape: 'capsule',
+      size: 6, speed: 1, metabolism: 0.1, starvationTime: 500,
+      requires: { FOOD: 2, SHELL: 1 }
+    },
+    HUNTER: {
+      name: 'Hunter', color: '#ef4444', shape: 'sharp_triangle',
+      size: 8, speed: 1.5, metabolism: 0.2, starvationTime: 400,
+      requires: { FOOD: 1, FANG: 1 }
+    }
+  }
+});
+
+const errorsFor = (change) => {
+  const ruleset = minimal();
+  change(ruleset);
+  return validateRuleset(ruleset).errors;
+};
+
+test('the bundled rulesets load without errors', () => {
+  for (let [id, ruleset] of Object.entries(BUNDLED_RULESETS)) {
+    assert.deepEqual(validateRuleset(ruleset).errors, [], id);
+  }
+  assert.deepEqual(validateRuleset(minimal()), { errors: [], warnings: [] });
+});
+
+test('each kind of mistake is reported', () => {
+  const cases = [
+    [r => { r.name = ''; }, 'Ruleset needs a name'],
+    [r => { r.blockTypes = {}; }, '"blockTypes" must be an object with at least one block type'],
+    [r => { r.blockTypes.FOOD.color = 'green'; }, 'Block type FOOD needs a #rrggbb color'],
+    [r => { r.blockTypes.FOOD.symbol = ''; }, 'Block type FOOD needs a symbol'],
+    [r => { r.blockTypes.FOOD.function = 'fly'; }, 'Block type FOOD has unknown function "fly"'],
+    [r => { r.compatibility.GHOST = []; }, 'Compatibility chart refers to unknown block type GHOST'],
+    [r => { r.compatibility.FOOD = ['GHOST']; }, 'Compatibility of FOOD refers to unknown block type GHOST'],
+    [r => { r.archetypes = {}; }, '"archetypes" must be an object with at least one archetype'],
+    [r => { r.archetypes.blocks = r.archetypes.GRAZER; }, 'Archetype key blocks is reserved'],
+    [r => { delete r.archetypes.GRAZER.shape; }, 'Archetype GRAZER has no shape'],
+    [r => { r.archetypes.GRAZER.shape = 'blob'; }, 'Archetype GRAZER has unknown shape "blob"'],
+    [r => { r.archetypes.GRAZER.size = 0; }, 'Archetype GRAZER needs a positive size'],
+    [r => { r.archetypes.GRAZER.speed = -1; }, 'Archetype GRAZER needs a non-negative speed'],
+    [r => { r.archetypes.GRAZER.requires = {}; }, 'Archetype GRAZER must require at least one block type'],
+    [r => { r.archetypes.GRAZER.requires.GHOST = 1; }, 'Archetype GRAZER requires unknown block type GHOST'],
+    [r => { r.archetypes.GRAZER.requires.FOOD = 1.5; },
+      'Archetype GRAZER requires a non-positive or fractional amount of FOOD'],
+    [r => { r.predation = { diet: { GHOST: [] } }; }, 'Diet refers to unknown archetype GHOST'],
+    [r => { r.predation = { diet: { HUNTER: ['HUNTER'] } }; }, 'Diet of HUNTER lists itself; use "cannibalism" instead'],
+    [r => { r.predation = { captureChance: 2, diet: {} }; }, 'Predation "captureChance" must be above 0 and at most 1']
+  ];
+  for (let [change, error] of cases) {
+    // Some mistakes orphan whatever refers to them as well, so look for each
+    // among the errors
+    assert.ok(errorsFor(change).includes(error), error);
+  }
+  assert.deepEqual(validateRuleset([]).errors, ['Ruleset is not an object']);
+});
+
+test('archetypes that cannot assemble are warnings, not errors', () => {
+  const ruleset = minimal();
+  ruleset.compatibility.FOOD = ['FANG'];
+  ruleset.predation = { diet: { GRAZER: ['HUNTER'] } };
+  const { errors, warnings } = validateRuleset(ruleset);
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(warnings, [
+    'Grazer can never form: FOOD and SHELL are incompatible',
+    'Grazer has prey but no eat_meat block, so it never hunts'
+  ]);
+});
+
+test('loading throws with every error and fills in predation defaults', () => {
+  const broken = minimal();
+  broken.name = '';
+  broken.archetypes.GRAZER.size = -1;
+  assert.throws(() => loadRuleset(broken),
+    { message: 'Invalid ruleset: Ruleset needs a name; Archetype GRAZER needs a positive size' });
+
+  const ruleset = loadRuleset(minimal());
+  assert.equal(ruleset.description, '');
+  assert.deepEqual(ruleset.predation.diet, { HUNTER: ['GRAZER'] });
+  assert.equal(ruleset.predation.cannibalism, false);
+});
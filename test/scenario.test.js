@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateScenario, firesAt, scenarioMarkers } from '../src/engine/scenario.js';
+import { loadRuleset } from '../src/engine/ruleset.js';
+import { DEFAULT_CHANNELS } from '../src/engine/chemical-field.js';
+import { BUNDLED_RULESETS } from '../src/rulesets/index.js';
+
+const bloom = { action: 'bloom', blockType: 'NUTRIENT', count: 10 };
+const ruleset = loadRuleset(BUNDLED_RULESETS.classic);
+
+const problemsWith = (scenario) => {
+  try {
+    validateScenario(scenario, ruleset, DEFAULT_CHANNELS);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+const ticksOf = (markers) => markers.map(marker => marker.tick);
+
+test('markers include repeating firings on both edges of the window', () => {
+  const scenario = { steps: [{ ...bloom, at: 100, every: 50, until: 300 }] };
+  assert.deepEqual(ticksOf(scenarioMarkers(scenario, 150, 250)), [150, 200, 250]);
+  assert.deepEqual(ticksOf(scenarioMarkers(scenario, 151, 249)), [200]);
+});
+
+test('markers stop at until and start at at', () => {
+  const scenario = { steps: [{ ...bloom, at: 100, every: 50, until: 220 }] };
+  assert.deepEqual(ticksOf(scenarioMarkers(scenario, 0, 1000)), [100, 150, 200]);
+  assert.deepEqual(ticksOf(scenarioMarkers(scenario, 201, 1000)), []);
+  assert.deepEqual(ticksOf(scenarioMarkers(scenario, 0, 99)), []);
+});
+
+test('one-off steps are marked only inside the window', () => {
+  const scenario = { steps: [{ ...bloom, at: 500 }] };
+  assert.deepEqual(ticksOf(scenarioMarkers(scenario, 500, 500)), [500]);
+  assert.deepEqual(ticksOf(scenarioMarkers(scenario, 0, 499)), []);
+  assert.deepEqual(ticksOf(scenarioMarkers(scenario, 501, 1000)), []);
+});
+
+test('a fast-repeating step is thinned evenly across the whole window', () => {
+  const scenario = { steps: [{ ...bloom, at: 0, every: 1 }, { ...bloom, at: 9999 }] };
+  const ticks = ticksOf(scenarioMarkers(scenario, 0, 10000));
+
+  assert.ok(ticks.length <= 201);
+  assert.ok(ticks.includes(9999));
+  // Firings late in the window are still shown, not only the earliest
+  assert.ok(ticks.some(tick => tick > 9000 && tick !== 9999));
+  const repeating = ticks.filter(tick => tick !== 9999);
+  const gaps = repeating.slice(1).map((tick, i) => tick - repeating[i]);
+  assert.ok(gaps.every(gap => gap === gaps[0]));
+});
+
+test('a scenario using every action validates', () => {
+  const scenario = {
+    name: 'Predator crash',
+    steps: [
+      { at: 5000, action: 'cull', archetype: 'APEX_PREDATOR', fraction: 0.8 },
+      { at: 10000, action: 'setBaseline', channel: 'oxygen', scale: 0.5 },
+      { at: 10000, action: 'setBaseline', channel: 'co2', value: 20 },
+      { ...bloom, at: 2000, every: 2000, until: 8000, region: { x: 0, y: 0, width: 200, height: 150 } }
+    ]
+  };
+  assert.equal(problemsWith(scenario), null);
+});
+
+test('each kind of scenario mistake is reported', () => {
+  const cases = [
+    [[], 'Scenario is not an object'],
+    [{ name: 3, steps: [{ ...bloom, at: 0 }] }, 'Scenario "name" must be text'],
+    [{ steps: [] }, 'Scenario needs a list of "steps"'],
+    [{ steps: [null] }, 'Step 1 must be an object'],
+    [{ steps: [{ ...bloom, at: -1 }] }, 'Step 1 needs a whole, non-negative "at" tick'],
+    [{ steps: [{ ...bloom, at: 0, every: 0 }] }, 'Step 1 has an invalid "every"; use a whole number of ticks above 0'],
+    [{ steps: [{ ...bloom, at: 100, until: 50 }] }, 'Step 1 has an "until" before its "at"'],
+    [{ steps: [{ at: 0, action: 'cull', archetype: 'GHOST', fraction: 0.5 }] }, 'Step 1 culls unknown archetype GHOST'],
+    [{ steps: [{ at: 0, action: 'cull', archetype: 'DECOMPOSER', fraction: 0 }] },
+      'Step 1 needs a "fraction" above 0 and at most 1'],
+    [{ steps: [{ at: 0, action: 'setBaseline', channel: 'ozone', value: 1 }] },
+      'Step 1 sets the baseline of unknown channel ozone'],
+    [{ steps: [{ at: 0, action: 'setBaseline', channel: 'oxygen', value: 1, scale: 1 }] },
+      'Step 1 needs either a "value" or a "scale"'],
+    [{ steps: [{ at: 0, action: 'setBaseline', channel: 'oxygen', value: 1e9 }] },
+      'Step 1 needs a "value" between 0 and the channel\'s max'],
+    [{ steps: [{ at: 0, action: 'setBaseline', channel: 'oxygen', scale: -1 }] }, 'Step 1 needs a non-negative "scale"'],
+    [{ steps: [{ ...bloom, at: 0, blockType: 'GHOST' }] }, 'Step 1 blooms unknown block type GHOST'],
+    [{ steps: [{ ...bloom, at: 0, count: 1.5 }] }, 'Step 1 needs a whole, positive "count"'],
+    [{ steps: [{ ...bloom, at: 0, region: { x: 0, y: 0, width: 0, height: 10 } }] },
+      'Step 1 needs a "region" with x, y and a positive width and height'],
+    [{ steps: [{ at: 0, action: 'flood' }] }, 'Step 1 has unknown action "flood"']
+  ];
+  for (let [scenario, error] of cases) {
+    assert.equal(problemsWith(scenario), `Invalid scenario: ${error}`);
+  }
+});
+
+test('every problem is reported at once', () => {
+  const scenario = { steps: [{ ...bloom, at: 0, count: 0 }, { at: 0, action: 'flood' }] };
+  assert.equal(problemsWith(scenario),
+    'Invalid scenario: Step 1 needs a whole, positive "count"; Step 2 has unknown action "flood"');
+});
+
+test('one-off steps fire only at their tick', () => {
+  const step = { ...bloom, at: 100 };
+  assert.deepEqual([99, 100, 101, 200].map(tick => firesAt(step, tick)), [false, true, false, false]);
+});
+
+test('repeating steps fire from at through until on the beat', () => {
+  const step = { ...bloom, at: 100, every: 50, until: 200 };
+  assert.deepEqual([50, 100, 149, 150, 200, 201, 250].map(tick => firesAt(step, tick)),
+    [false, true, false, true, true, false, false]);
+
+  const endless = { ...bloom, at: 0, every: 7 };
+  assert.ok(firesAt(endless, 0));
+  assert.ok(firesAt(endless, 7000));
+  assert.ok(!firesAt(endless, 7001));
+});
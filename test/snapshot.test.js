@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { World } from '../src/engine/world.js';
+import { createSnapshot, loadSnapshot } from '../src/engine/snapshot.js';
+
+const TICKS = 600;
+
+const seededWorld = () => {
+  const world = new World({ seed: 777, initialBlocks: 1500, historyInterval: 10 });
+  const archetypes = ['PHOTOSYNTHETIC_ALGAE', 'HERBIVORE_ZOOPLANKTON', 'PREDATORY_PROTOZOA', 'DECOMPOSER'];
+  archetypes.forEach((type, i) => {
+    for (let j = 0; j < 4; j++) {
+      world.addEntity(type, 150 + j * 150, 100 + i * 130);
+    }
+  });
+  for (let i = 0; i < TICKS; i++) {
+    world.step();
+  }
+  return world;
+};
+
+// Snapshots travel as files, so go through JSON as a save and load would
+const saved = (world) => JSON.parse(JSON.stringify(createSnapshot(world)));
+
+const state = (world) => ({
+  tick: world.tick,
+  random: world.random.getState(),
+  entities: world.entities.map(({ archetype, ...entity }) => entity),
+  blocks: world.blocks,
+  corpses: world.corpses,
+  gasGrid: world.gasGrid
+});
+
+test('a loaded snapshot carries on exactly as the original', () => {
+  const original = seededWorld();
+  const restored = new World({ seed: 1 });
+  loadSnapshot(restored, saved(original));
+  assert.deepEqual(state(restored), state(original));
+
+  for (let i = 0; i < TICKS; i++) {
+    original.step();
+    restored.step();
+  }
+  assert.deepEqual(state(restored), state(original));
+  const since = (world) => world.history.since(TICKS);
+  assert.ok(since(original).length > 0);
+  assert.deepEqual(since(restored), since(original));
+});
+
+test('an invalid snapshot is rejected without touching the world', () => {
+  const source = saved(seededWorld());
+  const corrupt = (change) => {
+    const snapshot = structuredClone(source);
+    change(snapshot);
+    return snapshot;
+  };
+  const cases = [
+    [corrupt(s => { s.version = 0; }), /Unsupported snapshot version/],
+    [corrupt(s => { delete s.lineage; }), /missing "lineage"/],
+    [corrupt(s => { s.entities[0].type = 'UNKNOWN'; }), /unknown archetype/],
+    [corrupt(s => { s.entities[0].cellBlocks[0].type = 'UNKNOWN'; }), /unknown block type/],
+    [corrupt(s => { s.blocks[0].type = 'UNKNOWN'; }), /unknown block type/],
+    [corrupt(s => { s.params.channels = [{ name: 'oxygen' }]; }), /channel/i],
+    [corrupt(s => { s.params.scenario = { steps: [{ at: 0, action: 'cull', archetype: 'UNKNOWN', fraction: 1 }] }; }),
+      /Invalid scenario/]
+  ];
+
+  const world = new World({ seed: 3, initialBlocks: 200 });
+  const before = state(world);
+  for (let [snapshot, message] of cases) {
+    assert.throws(() => loadSnapshot(world, snapshot), message);
+    assert.deepEqual(state(world), before);
+  }
+});